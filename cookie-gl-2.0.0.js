@@ -8,6 +8,18 @@ const cglError = (...args) => console.error(...__cglLogFormat, ...args);
 // for generating IDs for CGL classes
 const __cglRandomID = () => ~~(Math.random() * Number.MAX_SAFE_INTEGER);
 
+// creates an offscreen canvas, which is an OffscreenCanvas where there's no document (ie. in a Web Worker), or null if neither exist
+const __cglCreateSurface = (width=1, height=1) => {
+    if (typeof document !== "undefined") {
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    return typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(width, height) : null;
+};
+
 /****************** END LOGGING SHORTHANDS ******************/
 /****************** START CGLERRORS ******************/
 
@@ -19,751 +31,6619 @@ class CGLException extends Error {
 }
 
 /****************** END CGLERRORS ******************/
-/****************** START CGLCANVAS CLASS ******************/
-
-class CGLCanvas {
-    // options
-    #frameRate; // integer; refresh rate of canvas, in frames per second
-    #smoothingEnabled; // boolean; similar to antialiasing, smoothes rough edges of images on canvas
-    #smoothingQuality; // "low", "medium", or "high"; for quality of smoothed images IF smoothingEnabled is true
-
-    // dimensions of the canvas
-    #width;
-    #height;
-    
-    // rendering
-    #canvas;
-    #ctx; // canvas 2d context (canvas.getContext("2d"));
-    #refreshTimeout = null; // returned by setInterval, holds engine loop interval
-    #children;
-    #mousePos = {"x": null, "y": null};
-    id = __cglRandomID(); // unique id associated with this CGLCanvas
+/****************** START CGLEVENT CLASSES ******************/
 
-    constructor(canvasElem, options={}) {
-        if (canvasElem.constructor !== HTMLCanvasElement) {
-            cglError("Parameter 0 (canvasElem) must be HTMLCanvasElement, not " + canvasElem.constructor.name);
-            throw new CGLException("Invalid parameter passed to CGLCanvas constructor.");
-        }
+// event object passed to the event listeners of CGLObjects and CGLCanvases
+class CGLEvent {
+    type; // string; the name of the event
+    x; // x-position of the event, in world coordinates (bottom-left canvas coordinates unless the camera has moved)
+    y; // y-position of the event, in world coordinates (bottom-left canvas coordinates unless the camera has moved)
+    target; // the CGLObject the event was dispatched to, or the CGLCanvas when no object was hit
+    currentTarget = null; // the CGLObject or CGLCanvas whose listeners are currently being called
+    originalEvent; // the DOM event which caused this event, or null if the event was raised by the engine loop
+    #propagationStopped = false;
 
-        this.#width = canvasElem.width;
-        this.#height = canvasElem.height;
+    constructor(type, x, y, target, originalEvent=null, details={}) {
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.target = target;
+        this.originalEvent = originalEvent;
 
-        // set options
-        this.#frameRate = options.frameRate ?? 60;
-        this.#smoothingEnabled = options.smoothingEnabled ?? false;
-        this.#smoothingQuality = options.smoothingQuality ?? "medium";
-        
-        // set rendering fields
-        this.#children = []; // contains CGLObjects
-        
-        // assign canvas properties
-        this.#canvas = canvasElem;
-        this.#ctx = canvasElem.getContext("2d");
-        this.#ctx.imageSmoothingEnabled = this.#smoothingEnabled;
-        this.#ctx.imageSmoothingQuality = this.#smoothingQuality;
+        // assign any event-specific details (ie. dx & dy for drag events)
+        Object.assign(this, details);
+    }
 
-        // bind hover and click events to CGLCanvas
-        this.#canvas.addEventListener("click", (e) => {
-            // convert clientX and clientY into bottom-left coordinate system
-            const pos = {"x": e.offsetX, "y": this.#height - e.offsetY};
+    get propagationStopped() {  return this.#propagationStopped;  }
 
-            // find whatever children objects are at this point
-            const children = this.#childrenAt(pos.x, pos.y, true, true);
-            if (children.length === 0) return;
+    // prevents the event from bubbling up to the parent canvas
+    stopPropagation() {  this.#propagationStopped = true;  }
+}
 
-            // handle first element
-            children[children.length-1].__handleEvent("click", this.#canvas, e);
-        });
+// abstract class for anything that event listeners can be bound to
+class CGLEventTarget {
+    #eventListeners = {};
 
-        this.#canvas.addEventListener("mousemove", (e) => {
-            // convert clientX and clientY into bottom-left coordinate system
-            this.#mousePos = {"x": e.offsetX, "y": this.#height - e.offsetY};
-        });
-        
-        this.#canvas.addEventListener("mouseleave", () => this.#mousePos = {"x": null, "y": null});
+    constructor(eventNames=[]) {
+        if (this.constructor === CGLEventTarget)
+            throw new CGLException("Cannot directly instantiate CGLEventTarget class, only subclasses.");
 
-        // TODO: bind resize event on canvas to update this element's width and height
+        for (let eventName of eventNames)
+            this.#eventListeners[eventName] = [];
     }
 
-    // getters and setters
-    get isRunning() {  return this.#refreshTimeout !== null;  }
-    get width() {  return this.#width;  }
-    get height() {  return this.#height;  }
-    set width(w) {
-        this.#canvas.width = w;
-        this.#width = w;
-    }
-    set height(h) {
-        this.#canvas.height = h;
-        this.#height = h;
+    // allow event listeners to be bound
+    on(eventName=null, callback) {
+        if (eventName === null || eventName.constructor !== String)
+            throw new CGLException("Invalid event listener type: expected string.");
+        else if (!(eventName in this.#eventListeners))
+            throw new CGLException("Invalid event listener name: " + eventName);
+
+        // add the event listener
+        const id = __cglRandomID();
+        this.#eventListeners[eventName].push({"callback": callback.bind(this), "id": id});
+        return id;
     }
-    get children() {  return this.#children;  }
 
-    // framerate & frametime setters/getters
-    get frameTime() {  return 1e3/this.#frameRate;  }
-    set frameTime(hz) {  this.#frameRate = 1e3/hz;  }
-    get frameRate() {  return this.#frameRate;  }
-    set frameRate(hz) {  this.#frameRate = hz;  }
+    // allow event listeners to be removed either by their type or by their callbackID
+    off(eventName=null, callbackID=null) {
+        if (eventName === null || eventName.constructor !== String)
+            throw new CGLException("Invalid event listener type: expected string.");
+        else if (!(eventName in this.#eventListeners))
+            throw new CGLException("Invalid event listener name: " + eventName);
 
-    // restarts the display interval & draw method
-    start() {
-        if (this.isRunning) return void cglWarn("CGLCanvas interval already started, aborting...");
-        this.#draw(); // initial call to draw, binds refreshTimeout
+        // remove all events if the callbackID is null
+        if (callbackID === null) {
+            this.#eventListeners[eventName] = [];
+        } else {
+            const listeners = this.#eventListeners[eventName];
+            for (let i = 0; i < listeners.length; i++)
+                if (listeners[i].id === callbackID)
+                    this.#eventListeners[eventName].splice(i--, 1);
+        }
     }
 
-    // stops the display interval
-    stop() {
-        if (this.#refreshTimeout === null) return;
-        clearTimeout(this.#refreshTimeout);
-        this.#refreshTimeout = null;
+    // allows subclasses to accept additional event names
+    __registerEvents(...eventNames) {
+        for (let eventName of eventNames)
+            this.#eventListeners[eventName] ??= [];
     }
 
-    // draws content on the canvas when called by the engine loop interval
-    #draw() {
-        /*************** call and move children ***************/
+    // returns true if any listeners are bound to the given event
+    hasListeners(eventName) {
+        return eventName in this.#eventListeners && this.#eventListeners[eventName].length > 0;
+    }
 
-        const ctx = this.#ctx;
-        ctx.clearRect(0, 0, this.width, this.height); // clear the canvas
+    // allow events to be called
+    __handleEvent(eventName, canvas, ...args) {
+        if (!(eventName in this.#eventListeners))
+            return cglError("Invalid event type: " + eventName);
 
-        // store any values that will be changed for later reassignmet
-        const opts = {"lineWidth": ctx.lineWidth, "fillStyle": ctx.fillStyle};
+        // update the current target of CGLEvents
+        for (let arg of args)
+            if (arg instanceof CGLEvent) arg.currentTarget = this;
 
-        // flip canvas to draw from BOTTOM LEFT
-        ctx.translate(0, this.#height);
-        ctx.scale(1, -1); // flip vertically
-        
-        // for each child, draw them on this canvas
-        for (let child of this.#children) {
-            if (!child.isVisible) continue; // cull hidden elements
+        // call all events (copied in case a listener removes itself)
+        for (let event of [...this.#eventListeners[eventName]])
+            event.callback(...args);
+    }
+}
 
-            // assign properties
-            ctx.fillStyle = child.fillColor;
-            ctx.strokeStyle = child.outlineColor;
-            ctx.lineWidth = child.outlineThickness;
+/****************** END CGLEVENT CLASSES ******************/
+/****************** START CGLKEYBOARD CLASS ******************/
 
-            // move to child's x, y coords
-            const offsetX = child.x, offsetY = child.y;
-            ctx.translate(offsetX, offsetY);
+// tracks the keys held down on a CGLCanvas, which only receives keyboard input while it has focus
+// keys may be given either as KeyboardEvent.code ("Space", "KeyW") or KeyboardEvent.key (" ", "w"), case-insensitive
+class CGLKeyboard {
+    #canvas; // the CGLCanvas which keyboard events are raised on
+    #keysDown = new Map(); // maps the lowercase code of each held key to the key and code it was pressed with
+    #actions = {}; // maps action names to arrays of lowercase keys bound to them
 
-            // rotate the child
-            child.__move(); // move the child
-            child.__draw(this.#ctx); // draw the child
-            
-            // revert to origin
-            ctx.translate(-offsetX, -offsetY);
-        }
+    // canvasElem: the HTMLCanvasElement to listen to, or null for headless canvases (keys can still be bound to actions)
+    constructor(canvas, canvasElem=null) {
+        this.#canvas = canvas;
+        if (canvasElem === null) return;
 
-        // unflip canvas
-        ctx.scale(1, -1); // reset flip
-        ctx.translate(0, -this.#height);
+        // allow the canvas element to be focused so that keys don't leak between canvases
+        if (!canvasElem.hasAttribute("tabindex"))
+            canvasElem.tabIndex = 0;
 
-        // reassign any previous values that were overridden
-        Object.assign(this.#ctx, opts);
+        canvasElem.addEventListener("keydown", (e) => this.#onKeyDown(e));
+        canvasElem.addEventListener("keyup", (e) => this.#onKeyUp(e));
+        canvasElem.addEventListener("blur", (e) => this.releaseAll(e));
+    }
 
-        /*************** call hover events ***************/
-        
-        // find whatever children objects are at this point
-        if (this.#mousePos.x !== null && this.#mousePos.y !== null) {
-            const children = this.#childrenAt(this.#mousePos.x, this.#mousePos.y, true, true);
-            if (children.length > 0)
-                children[children.length-1].__handleEvent("hover", this.#canvas);
+    // returns true if the given key is currently held down
+    isKeyDown(key=null) {
+        if (key === null || key.constructor !== String)
+            throw new CGLException("Invalid key passed to isKeyDown: expected string.");
 
-            // update cursor
-            if (children.length)
-                this.#canvas.style.cursor = children[children.length-1].cursor;
-            else
-                this.#canvas.style.cursor = "";
-        }
+        key = key.toLowerCase();
+        for (let pressed of this.#keysDown.values())
+            if (pressed.code.toLowerCase() === key || pressed.key.toLowerCase() === key) return true;
 
-        // queue next timeout
-        this.#refreshTimeout = setTimeout(() => this.#draw(), this.frameTime);
+        return false;
     }
-    
-    // append child to the end of the children array (draws above everything)
-    append(obj=null) {
-        if (obj === null || !(obj instanceof CGLObject))
-            throw new CGLException("Invalid CGLCanvas child. Expected subclass of CGLObject, got " + (obj === null ? null : obj.constructor.name));
-        else if (obj.canvas !== null)
-            throw new CGLException("CGLObject already belongs to a canvas: " + obj.canvas.id);
 
-        // otherwise, append the child
-        this.#children.push(obj);
-        obj.canvas = this;
+    // binds a named action to one or more keys, replacing any keys already bound to it
+    bindAction(name=null, keys=null) {
+        if (name === null || name.constructor !== String || name === "")
+            throw new CGLException("Invalid action name: expected non-empty string.");
+        if (keys !== null && keys.constructor === String) keys = [keys];
+        if (keys === null || keys.constructor !== Array || keys.some(k => k === null || k.constructor !== String))
+            throw new CGLException("Invalid keys bound to action \"" + name + "\": expected string or array of strings.");
+
+        this.#actions[name] = keys.map(k => k.toLowerCase());
     }
-    
-    // append child to start of array (draws behind everything)
-    prepend(obj=null) {
-        if (obj === null || !(obj instanceof CGLObject))
-            throw new CGLException("Invalid CGLCanvas child. Expected subclass of CGLObject, got " + (obj === null ? null : obj.constructor.name));
-        else if (obj.canvas !== null)
-            throw new CGLException("CGLObject already belongs to a canvas: " + obj.canvas.id);
 
-        // otherwise, append the child
-        this.#children.unshift(obj);
-        obj.canvas = this;
+    // removes a named action, returns true if it existed
+    unbindAction(name) {
+        if (!(name in this.#actions)) return false;
+        delete this.#actions[name];
+        return true;
     }
 
-    // remove a child from the children array
-    // returns true when the object is found and removed, false otherwise
-    remove(obj=null) {
-        if (obj === null || !(obj instanceof CGLObject))
-            throw new CGLException("Cannot remove non-CGLObject from canvas.");
+    // returns true if any key bound to the given action is held down
+    isActionDown(name) {
+        if (!(name in this.#actions))
+            throw new CGLException("Unbound action name: " + name);
 
-        for (let i = 0; i < this.#children.length; i++) {
-            if (this.#children[i] === obj) {
-                this.#children.splice(i, 1);
-                obj.canvas = null;
-                return true;
-            }
-        }
+        return this.#actions[name].some(key => this.isKeyDown(key));
+    }
 
-        // base case
-        return false;
+    // returns the names of each action that the given code or key is bound to
+    #actionsFor(code, key) {
+        return Object.keys(this.#actions).filter(name => this.#actions[name].some(k => k === code || k === key));
     }
 
-    // get whatever child is at the current relative x-y position (regardless of visibility)
-    #childrenAt(x, y, excludeInvisible=false, excludeClickOmitted=false) {
-        let children = [];
+    #onKeyDown(e) {
+        // the focused widget takes any keys it uses (including repeats), and Tab moves focus between widgets
+        if (this.#canvas.__focusKey(e)) return void e.preventDefault();
 
-        for (let child of this.#children) {
-            if ((!child.isVisible && excludeInvisible) || (child.ignoreClicks && excludeClickOmitted)) continue;
-            if (child.__isPointInBounds(x, y))
-                children.push(child);
+        const code = e.code.toLowerCase(), key = e.key.toLowerCase();
+        const actions = this.#actionsFor(code, key);
+
+        // prevent bound keys from scrolling the page, etc.
+        if (actions.length) e.preventDefault();
+
+        if (!e.repeat) {
+            // raise actiondown only for the first key of an action to be pressed
+            const newActions = actions.filter(name => !this.isActionDown(name));
+            const pressed = {"key": e.key, "code": e.code};
+            this.#keysDown.set(code, pressed);
+
+            this.#raise("keydown", e, pressed);
+            for (let action of newActions)
+                this.#raise("actiondown", e, pressed, action);
         }
 
-        return children;
+        // only characters raise keypress, including repeats
+        if (e.key.length === 1)
+            this.#raise("keypress", e, {"key": e.key, "code": e.code});
     }
-}
 
-/****************** END CGLCANVAS CLASS ******************/
-/****************** START CGLOBJECT CLASS ******************/
+    #onKeyUp(e) {
+        const code = e.code.toLowerCase();
+        if (!this.#keysDown.has(code)) return;
 
-// abstract class for all objects drawn on CGLCanvas
-class CGLObject {
-    fillColor; // fill color of polygon or "transparent"
-    outlineColor; // outline color of polygon or "transparent"
-    outlineThickness; // integer; outline thickness of polygon or 1, in pixels
-    isVisible; // boolean, whether the CGLObject is culled at render
-    ignoreClicks; // boolean, whether to ignore clicks on this object or not
-    cursor; // string; cursor shown when the CGLObject is hovered over
+        // release the key that was originally pressed, since modifiers may change e.key
+        this.#release(code, e);
+    }
 
-    id; // the ID of this particular CGLObject
-    canvas = null; // the parent canvas
-    #lastUpdate; // the last timestamp of when __move() was called
+    #release(code, e) {
+        const pressed = this.#keysDown.get(code);
+        this.#keysDown.delete(code);
 
-    // physical properties
-    x; // x-position of the CGLObject
-    y; // y-position of the CGLObject
-    velocity = {"x": 0, "y": 0} // the x and y velocities of the CGLObject, in px/s
-    acceleration = {"x": 0, "y": 0} // the x and y accelerations of the CGLObject, in px/s/s
-    
-    rotation = 0; // the rotation of the object, in degrees
-    angularVelocity = 0; // the angular velocity of the object, in degrees/s
-    angularAcceleration = 0; // the angular acceleration of the object, in degrees/s/s
+        this.#raise("keyup", e, pressed);
+        for (let action of this.#actionsFor(code, pressed.key.toLowerCase()))
+            if (!this.isActionDown(action))
+                this.#raise("actionup", e, pressed, action);
+    }
 
-    // event listeners
-    #eventListeners = {"click": [], "hover": []};
+    // releases every held key, ie. when the canvas loses focus
+    releaseAll(e=null) {
+        for (let code of [...this.#keysDown.keys()])
+            this.#release(code, e);
+    }
 
-    constructor(x, y, options={}) {
-        if (this.constructor === CGLObject)
-            throw new CGLException("Cannot directly instantiate CGLObject class, only subclasses.");
-        
-        // check coordinates
-        if (x === null || x.constructor !== Number)
-            throw new CGLException("Invalid x-coordinate passed to CGLObject constructor. Expected number, got " + (x === null ? "null" : x.constructor.name));
-        if (y === null || y.constructor !== Number)
-            throw new CGLException("Invalid y-coordinate passed to CGLObject constructor. Expected number, got " + (y === null ? "null" : y.constructor.name));
+    #raise(type, e, pressed, action=null) {
+        const details = {
+            "key": pressed.key,
+            "code": pressed.code,
+            "repeat": e?.repeat ?? false,
+            "action": action
+        };
+        this.#canvas.__handleEvent(type, this.#canvas, new CGLEvent(type, null, null, this.#canvas, e, details));
+    }
+}
 
-        // assign parameters
-        this.id = __cglRandomID();
-        this.x = x;
-        this.y = y;
+/****************** END CGLKEYBOARD CLASS ******************/
+/****************** START CGLCAMERA CLASS ******************/
 
-        this.fillColor = options.fillColor ?? "transparent";
-        this.outlineThickness = parseInt(options.outlineThickness ?? 1);
-        // assign a black border when no fillColor or outlineColor is supplied
-        this.outlineColor = options.outlineColor ?? (this.fillColor === "transparent" ? "black" : "transparent");
+// the view of a CGLCanvas into its world, which may be larger than the canvas itself
+// screen coordinates are bottom-left canvas pixels, world coordinates are what CGLObjects are positioned in
+class CGLCamera {
+    x; // x-position of the world point at the center of the canvas
+    y; // y-position of the world point at the center of the canvas
+    zoom; // positive number; how many screen pixels one world unit takes up
+    rotation; // the rotation of the camera, in degrees (the world appears rotated the opposite way)
+    bounds; // {x, y, width, height} of the world area the view is kept inside of, or null
 
-        this.isVisible = options.isVisible ?? true;
-        this.cursor = options.cursor ?? "";
-        this.ignoreClicks = options.ignoreClicks ?? false;
+    #canvas; // the parent CGLCanvas
+    #target = null; // the CGLObject being followed, or null
+    #lerp = 1; // portion of the distance to the target covered every 1/60th of a second
 
-        // update #lastUpdate timestamp
-        this.#lastUpdate = Date.now();
+    constructor(canvas, options={}) {
+        this.#canvas = canvas;
+        this.x = options.x ?? canvas.width / 2;
+        this.y = options.y ?? canvas.height / 2;
+        this.zoom = options.zoom ?? 1;
+        this.rotation = options.rotation ?? 0;
+        this.bounds = options.bounds ?? null;
     }
 
-    // template draw method, called by CGLCanvas
-    // ctx: canvas.getContext("2d")
-    __draw(ctx) {
-        if (this.constructor === CGLObject)
-            throw new CGLException("Cannot directly call draw() on CGLObject, only subclasses.");
-    }
+    get target() {  return this.#target;  }
 
-    // move the CGLObject based on the given frameGap (time between now and last update)
-    __move() {
-        // get frameGap, in seconds
-        const frameGap = (Date.now() - this.#lastUpdate) / 1e3;
+    // keeps the camera centered on a CGLObject, where lerp is from 0 (never moves) to 1 (snaps to the target)
+    follow(target=null, lerp=1) {
+        if (target === null || !(target instanceof CGLObject))
+            throw new CGLException("Invalid camera target. Expected subclass of CGLObject, got " + (target === null ? null : target.constructor.name));
+        if (lerp === null || lerp.constructor !== Number || lerp < 0 || lerp > 1)
+            throw new CGLException("Invalid camera lerp: expected number between 0 and 1.");
 
-        // move the object
-        this.velocity.x += this.acceleration.x * frameGap;
-        this.velocity.y += this.acceleration.y * frameGap;
-        this.x += this.velocity.x * frameGap;
-        this.y += this.velocity.y * frameGap;
+        this.#target = target;
+        this.#lerp = lerp;
+    }
 
-        // rotate the object
-        this.angularVelocity += this.angularAcceleration * frameGap;
-        this.rotation += this.angularVelocity * frameGap;
-        this.rotation %= 360;
+    // stops following the current target, leaving the camera where it is
+    unfollow() {  this.#target = null;  }
+
+    // keeps the world's origin at the bottom-left of a resized canvas, unless the camera has been moved from its default center
+    __resize(oldWidth, oldHeight) {
+        if (this.x !== oldWidth / 2 || this.y !== oldHeight / 2) return;
 
-        // update last timestamp
-        this.#lastUpdate = Date.now();
+        this.x = this.#canvas.width / 2;
+        this.y = this.#canvas.height / 2;
     }
 
-    // returns true if the specified point is in bounds of the object, or false otherwise
-    __isPointInBounds(x, y) {
-        if (this.constructor === CGLObject)
-            throw new CGLException("Cannot directly call isPointInBounds() on CGLObject, only subclasses.");
+    // converts a point from bottom-left canvas pixels to world coordinates
+    screenToWorld(x, y) {
+        const r = this.rotation * Math.PI / 180;
+        const dx = (x - this.#canvas.width / 2) / this.zoom, dy = (y - this.#canvas.height / 2) / this.zoom;
+        return {"x": Math.cos(r)*dx + Math.sin(r)*dy + this.x, "y": -Math.sin(r)*dx + Math.cos(r)*dy + this.y};
     }
-    
-    // allow event listeners to be bound
-    on(eventName=null, callback) {
-        if (eventName === null || eventName.constructor !== String)
-            throw new CGLException("Invalid event listener type: expected string.");
-        else if (!(eventName in this.#eventListeners))
-            throw new CGLException("Invalid event listener name: " + eventName);
 
-        // add the event listener
-        const id = __cglRandomID();
-        this.#eventListeners[eventName].push({"callback": callback.bind(this), "id": id});
-        return id;
+    // converts a point from world coordinates to bottom-left canvas pixels
+    worldToScreen(x, y) {
+        const r = this.rotation * Math.PI / 180;
+        const dx = x - this.x, dy = y - this.y;
+        return {
+            "x": (Math.cos(r)*dx - Math.sin(r)*dy) * this.zoom + this.#canvas.width / 2,
+            "y": (Math.sin(r)*dx + Math.cos(r)*dy) * this.zoom + this.#canvas.height / 2
+        };
     }
 
-    // allow event listeners to be removed either by their type or by their callbackID
-    off(eventName=null, callbackID=null) {
-        if (eventName === null || eventName.constructor !== String)
-            throw new CGLException("Invalid event listener type: expected string.");
-        else if (!(eventName in this.#eventListeners))
-            throw new CGLException("Invalid event listener name: " + eventName);
-        
-        // remove all events if the callbackID is null
-        if (callbackID === null) {
-            this.#eventListeners[eventName] = [];
-        } else {
-            const listeners = this.#eventListeners[eventName];
-            for (let i = 0; i < listeners.length; i++)
-                if (listeners[i].id === callbackID)
-                    this.#eventListeners[eventName].splice(i--, 1);
+    // moves the camera towards its target, then keeps it inside of its bounds
+    __update(dt) {
+        if (this.#target !== null && this.#target.canvas === this.#canvas) {
+            const [targetX, targetY] = this.#targetCenter();
+
+            // scale the lerp by dt so following is independent of the update rate
+            const t = 1 - (1 - this.#lerp) ** (dt * 60);
+            this.x += (targetX - this.x) * t;
+            this.y += (targetY - this.y) * t;
         }
-    }
 
-    // allow events to be called
-    __handleEvent(eventName, canvas, ...args) {
-        if (!(eventName in this.#eventListeners))
-            return cglError("Invalid event type: " + eventName);
+        if (this.bounds !== null) {
+            const halfWidth = this.#canvas.width / 2 / this.zoom, halfHeight = this.#canvas.height / 2 / this.zoom;
+            const {x, y, width, height} = this.bounds;
 
-        // call all events
-        for (let event of this.#eventListeners[eventName])
-            event.callback(...args);
+            // center on the bounds if they're smaller than the view
+            this.x = width < halfWidth * 2 ? x + width / 2 : Math.min(Math.max(this.x, x + halfWidth), x + width - halfWidth);
+            this.y = height < halfHeight * 2 ? y + height / 2 : Math.min(Math.max(this.y, y + halfHeight), y + height - halfHeight);
+        }
     }
 
-    // enable rearrangement of the child in the canvas
-    // move the CGLObject to the front of the canvas
-    toFront() {
-        if (this.canvas === null)
-            throw new CGLException("Cannot move CGLObject z-position: the object is not a child of a canvas.");
+    // returns the world position of the center of the target
+    #targetCenter() {
+        if (this.#target instanceof CGLGroup)
+            return this.#target.__parentToCanvas(this.#target.x, this.#target.y);
 
-        // move the child to the front of the parent canvas
-        const canvas = this.canvas;
-        canvas.remove(this);
-        canvas.append(this);
+        return __cglShapeCenter(this.#target.__getCanvasCollisionShape());
     }
 
-    // move the CGLObject to the back of the canvas
-    toBack() {
-        if (this.canvas === null)
-            throw new CGLException("Cannot move CGLObject z-position: the object is not a child of a canvas.");
-
-        // move the child to the front of the parent canvas
-        const canvas = this.canvas;
-        canvas.remove(this);
-        canvas.prepend(this);
+    // transforms the context from bottom-left canvas pixels to world coordinates
+    __apply(ctx) {
+        ctx.translate(this.#canvas.width / 2, this.#canvas.height / 2);
+        ctx.scale(this.zoom, this.zoom);
+        ctx.rotate(this.rotation * Math.PI / 180);
+        ctx.translate(-this.x, -this.y);
     }
 }
 
-// polygon defined by set of points
-class CGLPoly extends CGLObject {
-    #vertices; // array of 3+ vertices, each as an array of 2 numbers in the format [x, y]
+/****************** END CGLCAMERA CLASS ******************/
+/****************** START CGLSPATIALINDEX CLASS ******************/
+
+// uniform grid of the bounding boxes of a canvas's children, for finding what's near a point without testing everything
+class CGLSpatialIndex {
+    #cellSize; // number; the width and height of each grid cell, in pixels
+    #cells = new Map(); // maps "column,row" keys to the Set of objects overlapping that cell
+    #entries = new Map(); // maps each object to its {bounds, cells}, where bounds is {minX, minY, maxX, maxY}
+    #oversized = new Set(); // objects covering too many cells to store, which are always candidates
+
+    static #MAX_CELLS = 64; // most cells an object is stored in before it's treated as oversized
+
+    constructor(cellSize=128) {
+        if (cellSize === null || cellSize.constructor !== Number || cellSize <= 0)
+            throw new CGLException("Invalid cell size passed to CGLSpatialIndex constructor. Cell size must be a positive number.");
+        this.#cellSize = cellSize;
+    }
+
+    get cellSize() {  return this.#cellSize;  }
+    get size() {  return this.#entries.size;  }
+
+    has(obj) {  return this.#entries.has(obj);  }
+
+    // returns the range of cells covered by a box as [minColumn, minRow, maxColumn, maxRow]
+    #cellRange(minX, minY, maxX, maxY) {
+        const size = this.#cellSize;
+        return [Math.floor(minX / size), Math.floor(minY / size), Math.floor(maxX / size), Math.floor(maxY / size)];
+    }
+
+    // adds or moves an object, only re-filing it when its bounds have changed
+    update(obj, bounds) {
+        const entry = this.#entries.get(obj);
+        if (entry !== undefined && ["minX", "minY", "maxX", "maxY"].every(k => entry.bounds[k] === bounds[k])) return;
+        if (entry !== undefined) this.remove(obj);
+
+        const [minCol, minRow, maxCol, maxRow] = this.#cellRange(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY);
+        const cells = [];
+
+        // objects without finite bounds (ie. scaled to nothing) are oversized too
+        const count = (maxCol - minCol + 1) * (maxRow - minRow + 1);
+        if (!(count <= CGLSpatialIndex.#MAX_CELLS)) {
+            this.#oversized.add(obj);
+        } else {
+            for (let col = minCol; col <= maxCol; col++) {
+                for (let row = minRow; row <= maxRow; row++) {
+                    const key = col + "," + row;
+                    if (!this.#cells.has(key)) this.#cells.set(key, new Set());
+                    this.#cells.get(key).add(obj);
+                    cells.push(key);
+                }
+            }
+        }
+
+        this.#entries.set(obj, {"bounds": {...bounds}, "cells": cells});
+    }
+
+    // removes an object, returns true if it was in the index
+    remove(obj) {
+        const entry = this.#entries.get(obj);
+        if (entry === undefined) return false;
+
+        for (let key of entry.cells) {
+            const cell = this.#cells.get(key);
+            cell.delete(obj);
+            if (cell.size === 0) this.#cells.delete(key);
+        }
+
+        this.#oversized.delete(obj);
+        this.#entries.delete(obj);
+        return true;
+    }
+
+    clear() {
+        this.#cells.clear();
+        this.#entries.clear();
+        this.#oversized.clear();
+    }
+
+    // returns the Set of objects whose bounding boxes overlap the box
+    query(minX, minY, maxX, maxY) {
+        const found = new Set();
+        const overlaps = (obj) => {
+            const b = this.#entries.get(obj).bounds;
+            return b.minX <= maxX && b.maxX >= minX && b.minY <= maxY && b.maxY >= minY;
+        };
+
+        for (let obj of this.#oversized)
+            if (overlaps(obj)) found.add(obj);
+
+        const [minCol, minRow, maxCol, maxRow] = this.#cellRange(minX, minY, maxX, maxY);
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let obj of this.#cells.get(col + "," + row) ?? [])
+                    if (!found.has(obj) && overlaps(obj)) found.add(obj);
+            }
+        }
+
+        return found;
+    }
+
+    // returns the object with the smallest distance(obj), searching outwards ring by ring, or null
+    // distance should return Infinity for objects to skip, and never be less than the distance to the object's bounding box
+    nearest(x, y, distance, maxDistance=Infinity) {
+        let best = null, bestDistance = maxDistance;
+        const visit = (obj) => {
+            const d = distance(obj);
+            if (d < bestDistance || (d === bestDistance && best === null && d !== Infinity)) best = obj, bestDistance = d;
+        };
+
+        this.#oversized.forEach(visit);
+
+        // search no further than the cells that have anything in them
+        let extent = 0;
+        const [col, row] = this.#cellRange(x, y, x, y);
+        for (let key of this.#cells.keys()) {
+            const [c, r] = key.split(",").map(Number);
+            extent = Math.max(extent, Math.abs(c - col), Math.abs(r - row));
+        }
+
+        const visited = new Set();
+        for (let ring = 0; ring <= extent; ring++) {
+            // everything in this ring is at least (ring - 1) cells away
+            if ((ring - 1) * this.#cellSize > bestDistance) break;
+
+            for (let c = col - ring; c <= col + ring; c++) {
+                for (let r = row - ring; r <= row + ring; r++) {
+                    if (Math.max(Math.abs(c - col), Math.abs(r - row)) !== ring) continue;
+
+                    for (let obj of this.#cells.get(c + "," + r) ?? []) {
+                        if (visited.has(obj)) continue;
+                        visited.add(obj);
+                        visit(obj);
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+}
+
+/****************** END CGLSPATIALINDEX CLASS ******************/
+/****************** START CGLLAYER CLASS ******************/
+
+// returns an object and its transform, followed by those of each of its descendants
+// static layers compare these with the ones their cache was drawn with to tell whether their children have moved
+const __cglTransformsOf = (obj) => [
+    obj, obj.x, obj.y, obj.rotation, obj.scaleX, obj.scaleY, obj.flipX, obj.flipY, obj.pivot?.x, obj.pivot?.y, obj.isVisible,
+    ...(obj instanceof CGLGroup ? obj.children.flatMap(__cglTransformsOf) : [])
+];
+
+// a named layer of a CGLCanvas, which draws the children whose layer property is its name
+class CGLLayer {
+    #name; // string; the name children use to join this layer
+    zIndex; // number; layers are drawn from lowest to highest zIndex (in the order they were added when equal)
+    isVisible; // boolean; whether the layer's children are drawn (and can be clicked)
+    #isStatic; // boolean; whether the layer is cached to an offscreen canvas and only redrawn when it changes
+
+    // offscreen cache, for static layers
+    #cache = null; // the offscreen canvas element, or null
+    #cacheKey = null; // string; the canvas size and camera view the cache was drawn with
+    #cacheTransforms = []; // the children drawn to the cache and their transforms, including their descendants' (see __cglTransformsOf)
+    #isDirty = true; // boolean; whether the cache needs redrawing
+
+    // options: {zIndex, isVisible, isStatic}
+    constructor(name=null, options={}) {
+        if (name === null || name.constructor !== String || name === "")
+            throw new CGLException("Invalid name passed to CGLLayer constructor. Name must be a non-empty string.");
+
+        this.#name = name;
+        this.zIndex = options.zIndex ?? 0;
+        this.isVisible = options.isVisible ?? true;
+        this.#isStatic = options.isStatic ?? false;
+
+        if (this.zIndex === null || this.zIndex.constructor !== Number)
+            throw new CGLException("Invalid zIndex passed to CGLLayer constructor. Expected number.");
+    }
+
+    get name() {  return this.#name;  }
+    get isStatic() {  return this.#isStatic;  }
+    set isStatic(s) {
+        this.#isStatic = Boolean(s);
+        this.#cache = null; // free the cache when it isn't needed
+        this.invalidate();
+    }
+
+    // marks a static layer as changed, so it's redrawn on the next frame
+    // (needed after changing the appearance of its children without moving them, ie. their colors or sizes)
+    invalidate() {  this.#isDirty = true;  }
+
+    // the offscreen canvas the layer was last drawn to, or null
+    get __cache() {  return this.#cache;  }
+
+    // returns true if the cache is missing, invalidated, drawn with another view, any children are animating,
+    // or the children (or any of their descendants) have been added, removed or moved since it was drawn
+    __needsRedraw(key, children) {
+        if (this.#cache === null || this.#isDirty || key !== this.#cacheKey || children.some(child => child.isVisible && child.__isAnimating()))
+            return true;
+
+        const transforms = children.flatMap(__cglTransformsOf);
+        return transforms.length !== this.#cacheTransforms.length || transforms.some((n, i) => n !== this.#cacheTransforms[i]);
+    }
+
+    // redraws the cache with draw(ctx), returns false if there's no way to create the offscreen canvas
+    __redraw(width, height, key, children, draw) {
+        if (this.#cache === null) {
+            this.#cache = __cglCreateSurface(width, height);
+            if (this.#cache === null) return false;
+        }
+
+        this.#cache.width = width;
+        this.#cache.height = height;
+        draw(this.#cache.getContext("2d"));
+
+        this.#cacheKey = key;
+        this.#cacheTransforms = children.flatMap(__cglTransformsOf);
+        this.#isDirty = false;
+        return true;
+    }
+}
+
+/****************** END CGLLAYER CLASS ******************/
+/****************** START CGLDEBUGOVERLAY CLASS ******************/
+
+// draws hit regions, bounds, pivots, velocities and frame stats over a CGLCanvas, with an optional inspector panel
+// enabled by CGLCanvas.enableDebug
+class CGLDebugOverlay {
+    hitRegions; // boolean; whether the region which is clicked is outlined for each object
+    bounds; // boolean; whether the axis-aligned bounding box of each object is outlined
+    pivots; // boolean; whether the point each object rotates, scales and flips about is marked
+    velocities; // boolean; whether each object's velocity is drawn as a line from its pivot
+    velocityScale; // number; seconds of movement each velocity line shows
+    stats; // boolean; whether the FPS, frame time and object count are drawn with graphs
+
+    #canvas; // the parent CGLCanvas
+    #canvasElem; // the HTMLCanvasElement, or null for headless canvases
+    #frames = []; // the most recent frames as {interval, work}, in ms
+    #lastTimestamp = null; // the timestamp of the previous frame, in ms
+    #selected = null; // the CGLObject selected in the inspector, or null
+
+    // inspector panel
+    #panel = null; // the panel element, or null when closed
+    #list = null; // the element listing the children
+    #properties = null; // the element of the selected object's properties
+    #listKey = null; // string; the children last listed, which relists them when changed
+    #inputs = []; // the property inputs shown, as {input, key}
+    #clickListener = null; // the ID of the canvas click listener selecting objects
+    #refreshCount = 0; // frames since the property inputs were last refreshed
+
+    static #MAX_FRAMES = 120; // number of frames shown in the graphs
+    static #GRAPH_WIDTH = 120; // in pixels
+    static #GRAPH_HEIGHT = 30; // in pixels
+    static #REFRESH_FRAMES = 10; // number of frames between refreshing the inspector's inputs
+
+    // properties shown by the inspector, when the selected object has them
+    static #PROPERTIES = ["x", "y", "rotation", "scaleX", "scaleY", "flipX", "flipY", "velocity.x", "velocity.y", "angularVelocity",
+                          "width", "height", "radius", "text", "fillColor", "outlineColor", "outlineThickness", "opacity",
+                          "isVisible", "ignoreClicks", "layer", "bodyType", "mass"];
+
+    // options: {hitRegions, bounds, pivots, velocities, stats, inspector} (booleans), velocityScale
+    constructor(canvas, canvasElem=null, options={}) {
+        this.#canvas = canvas;
+        this.#canvasElem = canvasElem;
+
+        this.hitRegions = options.hitRegions ?? true;
+        this.bounds = options.bounds ?? true;
+        this.pivots = options.pivots ?? true;
+        this.velocities = options.velocities ?? true;
+        this.velocityScale = options.velocityScale ?? 0.25;
+        this.stats = options.stats ?? true;
+
+        if (options.inspector) this.openInspector();
+    }
+
+    get selected() {  return this.#selected;  }
+    get isInspectorOpen() {  return this.#panel !== null;  }
+
+    // the average frames per second of the most recent frames
+    get fps() {
+        const frames = this.#frames.slice(-60);
+        if (frames.length === 0) return 0;
+        return 1e3 / (frames.reduce((sum, frame) => sum + frame.interval, 0) / frames.length);
+    }
+
+    // selects a CGLObject (or null) to highlight and show in the inspector
+    select(obj=null) {
+        if (obj !== null && !(obj instanceof CGLObject))
+            throw new CGLException("Invalid object passed to CGLDebugOverlay.select. Expected subclass of CGLObject or null.");
+
+        this.#selected = obj;
+        this.#showProperties();
+    }
+
+    // opens the inspector panel, which lists the canvas's children and edits the selected object's properties
+    // clicking an object on the canvas also selects it
+    openInspector() {
+        if (this.#panel !== null) return;
+        if (typeof document === "undefined" || this.#canvasElem === null)
+            return void cglWarn("The debug inspector needs a document and an HTMLCanvasElement, skipping...");
+
+        this.#panel = document.createElement("div");
+        Object.assign(this.#panel.style, {
+            "position": "fixed", "top": "8px", "right": "8px", "width": "260px", "maxHeight": "90vh", "overflow": "auto",
+            "padding": "8px", "background": "rgba(0, 0, 0, 0.8)", "color": "#fff", "font": "12px monospace", "zIndex": "9999"
+        });
+
+        const title = document.createElement("b");
+        title.textContent = "CookieGL inspector";
+        this.#list = document.createElement("div");
+        this.#properties = document.createElement("div");
+        this.#properties.style.marginTop = "8px";
+
+        this.#panel.append(title, this.#list, this.#properties);
+        document.body.appendChild(this.#panel);
+
+        this.#clickListener = this.#canvas.on("click", (e) => {
+            if (e.target instanceof CGLObject) this.select(e.target);
+        });
+
+        this.#listKey = null;
+        this.#showProperties();
+    }
+
+    closeInspector() {
+        if (this.#panel === null) return;
+
+        this.#panel.remove();
+        this.#panel = this.#list = this.#properties = null;
+        this.#inputs = [];
+        this.#canvas.off("click", this.#clickListener);
+    }
+
+    // records a rendered frame, called by CGLCanvas; work is the time spent updating and drawing, in ms
+    __recordFrame(timestamp, work) {
+        if (this.#lastTimestamp !== null) {
+            this.#frames.push({"interval": timestamp - this.#lastTimestamp, "work": work});
+            if (this.#frames.length > CGLDebugOverlay.#MAX_FRAMES) this.#frames.shift();
+        }
+
+        this.#lastTimestamp = timestamp;
+    }
+
+    // draws the overlay over the canvas, called by CGLCanvas after its children are drawn
+    __draw(ctx) {
+        const canvas = this.#canvas;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = "source-over";
+        ctx.shadowColor = "transparent";
+
+        for (let child of canvas.children)
+            if (child.isVisible && (canvas.getLayer(child.layer) ?? canvas.getLayer("default")).isVisible)
+                this.#drawObject(ctx, child);
+
+        // highlight the selected object
+        if (this.#selected !== null && this.#selected.canvas === canvas && !(this.#selected instanceof CGLGroup)) {
+            ctx.lineWidth = 3;
+            this.#strokeShape(ctx, this.#selected, "#f80");
+            ctx.lineWidth = 1;
+        }
+
+        if (this.stats) this.#drawStats(ctx);
+        ctx.restore();
+
+        if (this.#panel !== null) this.#refreshInspector();
+    }
+
+    // removes the inspector, called by CGLCanvas when debugging is disabled
+    __destroy() {  this.closeInspector();  }
+
+    // converts a point from world coordinates to canvas pixels from the top-left
+    #toScreen(x, y) {
+        const point = this.#canvas.camera.worldToScreen(x, y);
+        return [point.x, this.#canvas.height - point.y];
+    }
+
+    #drawObject(ctx, obj) {
+        if (obj instanceof CGLGroup) {
+            obj.children.forEach(child => child.isVisible && this.#drawObject(ctx, child));
+        } else if (this.hitRegions) {
+            this.#strokeShape(ctx, obj, "#0f0");
+        }
+
+        if (this.bounds) {
+            const {x, y, width, height} = obj.getBounds();
+            this.#strokePath(ctx, [[x, y], [x + width, y], [x + width, y + height], [x, y + height]].map(([px, py]) => this.#toScreen(px, py)), "#ff0", true);
+        }
+
+        const pivot = obj.__getPivot();
+        const start = obj.localToWorld(pivot.x, pivot.y);
+        const [sx, sy] = this.#toScreen(start.x, start.y);
+
+        if (this.pivots) {
+            this.#strokePath(ctx, [[sx - 4, sy], [sx + 4, sy]], "#f0f");
+            this.#strokePath(ctx, [[sx, sy - 4], [sx, sy + 4]], "#f0f");
+        }
+
+        // velocities are in the parent's coordinates
+        if (this.velocities && (obj.velocity.x !== 0 || obj.velocity.y !== 0)) {
+            const end = obj.__parentToCanvas(obj.x + pivot.x + obj.velocity.x * this.velocityScale, obj.y + pivot.y + obj.velocity.y * this.velocityScale);
+            this.#strokePath(ctx, [[sx, sy], this.#toScreen(...end)], "#0ff");
+        }
+    }
+
+    // outlines the region where clicks land on the object
+    #strokeShape(ctx, obj, color) {
+        this.#strokePath(ctx, obj.__getHitOutline().map(([x, y]) => {
+            const point = obj.localToWorld(x, y);
+            return this.#toScreen(point.x, point.y);
+        }), color, true);
+    }
+
+    #strokePath(ctx, points, color, closed=false) {
+        if (points.length === 0) return;
+
+        ctx.beginPath();
+        ctx.moveTo(...points[0]);
+        points.slice(1).forEach(point => ctx.lineTo(...point));
+        if (closed) ctx.closePath();
+
+        ctx.strokeStyle = color;
+        ctx.stroke();
+    }
+
+    #drawStats(ctx) {
+        const canvas = this.#canvas, frames = this.#frames;
+        const width = CGLDebugOverlay.#GRAPH_WIDTH, height = CGLDebugOverlay.#GRAPH_HEIGHT;
+        const work = frames.at(-1)?.work ?? 0;
+
+        // count the objects in groups too
+        const count = (children) => children.reduce((sum, child) => sum + 1 + (child instanceof CGLGroup ? count(child.children) : 0), 0);
+
+        ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+        ctx.fillRect(4, 4, width + 8, 54 + height * 2);
+
+        ctx.fillStyle = "#fff";
+        ctx.font = "12px monospace";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "top";
+        ctx.fillText("FPS " + this.fps.toFixed(0) + "  " + work.toFixed(1) + "ms", 8, 8);
+        ctx.fillText("objects " + count(canvas.children), 8, 22);
+
+        // graph each frame's FPS and time spent, up to twice the target
+        this.#drawGraph(ctx, 8, 38, frames.map(frame => 1e3 / frame.interval), canvas.frameRate * 2, "#0f0");
+        this.#drawGraph(ctx, 8, 42 + height, frames.map(frame => frame.work), canvas.frameTime * 2, "#f80");
+    }
+
+    // draws values as a line graph from the top-left x, y, with a line at the halfway mark
+    #drawGraph(ctx, x, y, values, max, color) {
+        const width = CGLDebugOverlay.#GRAPH_WIDTH, height = CGLDebugOverlay.#GRAPH_HEIGHT;
+        const step = width / (CGLDebugOverlay.#MAX_FRAMES - 1);
+
+        this.#strokePath(ctx, [[x, y + height/2], [x + width, y + height/2]], "rgba(255, 255, 255, 0.3)");
+        this.#strokePath(ctx, values.map((value, i) => [x + i * step, y + height - Math.min(value / max, 1) * height]), color);
+    }
+
+    /*************** inspector ***************/
+
+    #refreshInspector() {
+        // relist the children when they change
+        const children = [];
+        const walk = (list, depth) => list.forEach(child => {
+            children.push([child, depth]);
+            if (child instanceof CGLGroup) walk(child.children, depth + 1);
+        });
+        walk(this.#canvas.children, 0);
+
+        const key = children.map(([child]) => child.id).join(",");
+        if (key !== this.#listKey) {
+            this.#listKey = key;
+            this.#list.replaceChildren(...children.map(([child, depth]) => {
+                const item = document.createElement("div");
+                item.textContent = "  ".repeat(depth) + child.constructor.name + " #" + child.id;
+                item.style.cursor = "pointer";
+                item.style.whiteSpace = "pre";
+                item.addEventListener("click", () => this.select(child));
+                return item;
+            }));
+        }
+
+        // deselect objects which were removed
+        if (this.#selected !== null && this.#selected.canvas !== this.#canvas) this.select(null);
+
+        // refresh the values of the inputs which aren't being edited
+        if (++this.#refreshCount < CGLDebugOverlay.#REFRESH_FRAMES) return;
+        this.#refreshCount = 0;
+
+        for (let {input, key} of this.#inputs) {
+            if (input === document.activeElement) continue;
+
+            const value = this.#getProperty(key);
+            if (input.type === "checkbox") input.checked = value;
+            else input.value = this.#formatValue(value);
+        }
+    }
+
+    // rebuilds the inputs for the selected object's properties
+    #showProperties() {
+        if (this.#panel === null) return;
+
+        const obj = this.#selected;
+        this.#inputs = [];
+        this.#properties.replaceChildren();
+        if (obj === null) return;
+
+        const title = document.createElement("b");
+        title.textContent = obj.constructor.name + " #" + obj.id;
+        this.#properties.append(title);
+
+        for (let key of CGLDebugOverlay.#PROPERTIES) {
+            if (!this.#hasProperty(obj, key)) continue;
+
+            const value = this.#getProperty(key);
+            const row = document.createElement("label");
+            row.style.display = "flex";
+            row.style.justifyContent = "space-between";
+            row.textContent = key;
+
+            const input = document.createElement("input");
+            input.style.width = "120px";
+            if (value?.constructor === Boolean) {
+                input.type = "checkbox";
+                input.checked = value;
+            } else {
+                input.type = value?.constructor === Number ? "number" : "text";
+                input.step = "any";
+                input.value = this.#formatValue(value);
+                // only plain values can be edited (not gradients or patterns)
+                input.disabled = value !== null && ![Number, String].includes(value.constructor);
+            }
+
+            input.addEventListener("change", () => this.#editProperty(obj, key, input));
+            row.append(input);
+            this.#properties.append(row);
+            this.#inputs.push({"input": input, "key": key});
+        }
+    }
+
+    // returns true if the object has the property and it can be assigned to
+    #hasProperty(obj, key) {
+        const [name, field] = key.split(".");
+        if (field !== undefined) return obj[name]?.constructor === Object && field in obj[name];
+        if (!(name in obj)) return false;
+
+        // skip getters without setters, ie. CGLText's width
+        for (let proto = obj; proto !== null; proto = Object.getPrototypeOf(proto)) {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (descriptor !== undefined) return descriptor.set !== undefined || "value" in descriptor;
+        }
+        return false;
+    }
+
+    #getProperty(key) {
+        const [name, field] = key.split(".");
+        return field === undefined ? this.#selected[name] : this.#selected[name][field];
+    }
+
+    #formatValue(value) {
+        if (value === null) return "null";
+        if (value.constructor === Number) return String(Math.round(value * 1e3) / 1e3);
+        return value.constructor === String ? value : value.constructor.name;
+    }
+
+    #editProperty(obj, key, input) {
+        let value;
+        if (input.type === "checkbox") value = input.checked;
+        else if (input.type === "number") value = parseFloat(input.value);
+        else value = input.value === "null" ? null : input.value;
+
+        if (Number.isNaN(value)) return;
+
+        try {
+            const [name, field] = key.split(".");
+            if (field === undefined) obj[name] = value;
+            else obj[name][field] = value;
+        } catch (e) {
+            cglWarn("Couldn't set " + key + ": " + e.message);
+        }
+
+        this.#canvas.invalidate(); // redraw static layers and dirty regions
+    }
+}
+
+/****************** END CGLDEBUGOVERLAY CLASS ******************/
+/****************** START CGLCANVAS CLASS ******************/
+
+class CGLCanvas extends CGLEventTarget {
+    // options
+    #frameRate; // integer; maximum refresh rate of canvas, in frames per second
+    #updateRate; // integer; number of fixed-timestep updates per second of game time
+    #smoothingEnabled; // boolean; similar to antialiasing, smoothes rough edges of images on canvas
+    #smoothingQuality; // "low", "medium", or "high"; for quality of smoothed images IF smoothingEnabled is true
+    #detectCollisions; // boolean; whether collision events are raised on children each frame (off unless enabled, since every pair of children is tested)
+
+    // dimensions of the canvas, in logical pixels (the units of screen coordinates)
+    #width;
+    #height;
+
+    // sizing
+    #fit; // "none", "letterbox", "stretch" or "fill"; how the canvas is sized within its container (see resize())
+    #pixelRatio; // "auto" for the device's pixel ratio, or the number of backing store pixels per CSS pixel
+    #scaleX = 1; // number; backing store pixels per logical pixel, horizontally
+    #scaleY = 1; // number; backing store pixels per logical pixel, vertically
+    #isStyled = false; // boolean; whether resize() has set the CSS size of the canvas element
+    #resizeObserver = null; // the ResizeObserver watching the container's size, or null
+    #pixelRatioQuery = null; // the MediaQueryList which stops matching when the device pixel ratio changes, or null
     
-    // store dimensions for faster calculation of points in bounds
-    #centroidX;
-    #centroidY;
+    // rendering
+    #canvas; // the HTMLCanvasElement, or any other surface with a 2D context (ie. an OffscreenCanvas)
+    #isHeadless; // boolean; whether the surface isn't an HTMLCanvasElement, so there are no pointer, keyboard or cursor events
+    #ctx; // canvas 2d context (canvas.getContext("2d"));
+    #frameRequest = null; // returned by requestAnimationFrame, holds engine loop
+    #startRequest = null; // token for a start() waiting on CGLAssets, cleared by stop()
+    #children;
+    #keyboard; // CGLKeyboard; tracks the keys held down while this canvas has focus
+    #focused = null; // the CGLWidget with keyboard focus, or null
+    #contacts = new Map(); // maps the IDs of each pair of touching children to their contact
+    #physics = null; // CGLPhysicsWorld, or null when physics is disabled
+    #debug = null; // CGLDebugOverlay, or null when debugging is disabled
+    #camera; // CGLCamera; the view into the world drawn on this canvas
+    #index; // CGLSpatialIndex; the world bounding boxes of each child, for hit testing and queries
+    #indexOrder = new Map(); // maps each child to its position in the children array
+    #isOrderDirty = true; // boolean; whether children have been added or removed since #indexOrder was built
+    #movedChildren = new Set(); // children whose bounds have changed since they were last filed in the index
+    #layers = new Map(); // maps layer names to their CGLLayers, always including "default"
+
+    // dirty regions
+    #dirtyRegions; // boolean; whether only the regions around changed children are redrawn each frame
+    #screenRects = new Map(); // maps each drawn child to its padded screen rectangle from the last frame
+    #needsFullRedraw = true; // boolean; whether the next frame must redraw the whole canvas
+    #lastLayoutKey = null; // string; the view and layer visibility of the last frame, which redraws everything when changed
+
+    // game clock
+    #time = 0; // total game time simulated, in seconds
+    #timeScale; // number; multiplier for how fast game time passes, ie. 0.5 for slow-motion
+    #isPaused = false; // boolean; whether game time is frozen (the canvas is still rendered)
+    #accumulator = 0; // game time waiting to be simulated by fixed-timestep updates, in seconds
+    #lastTimestamp = null; // the timestamp of the previous animation frame, in ms
+    #lastRenderTimestamp = null; // the timestamp of the previous rendered frame, in ms
+
+    static #MAX_FRAME_GAP = 0.25; // longest gap between frames that's simulated, in seconds, so a stalled tab doesn't jump ahead
+    id = __cglRandomID(); // unique id associated with this CGLCanvas
+
+    // pointer state
+    #pointers = new Map(); // maps the pointerId of each active pointer to its CGLPointer state
+    #gesture = null; // the state of the current two-finger gesture, or null
+    #dragThreshold; // number; distance a pointer must move while pressed before a drag starts, in pixels
+
+    constructor(canvasElem, options={}) {
+        super(["update", "render", "resize", "click", "mousedown", "mouseup", "dragstart", "drag", "dragend", "pointercancel",
+               "gesturestart", "pinch", "pan", "gestureend", "keydown", "keyup", "keypress", "actiondown", "actionup"]);
+
+        // accept any surface with a 2D context, ie. an HTMLCanvasElement, an OffscreenCanvas or a canvas from a Node backend
+        const ctx = typeof canvasElem?.getContext === "function" ? canvasElem.getContext("2d") : null;
+        if (ctx === null || ctx === undefined || canvasElem.width?.constructor !== Number || canvasElem.height?.constructor !== Number) {
+            cglError("Parameter 0 (canvasElem) must be a canvas with a 2D context, not " + (canvasElem === null ? null : canvasElem?.constructor.name));
+            throw new CGLException("Invalid parameter passed to CGLCanvas constructor.");
+        }
+
+        // the logical size, which is the container's size when filling it
+        this.#width = options.width ?? canvasElem.width;
+        this.#height = options.height ?? canvasElem.height;
+
+        // set options
+        this.#frameRate = options.frameRate ?? 60;
+        this.#updateRate = options.updateRate ?? 60;
+        this.#timeScale = options.timeScale ?? 1;
+        this.#smoothingEnabled = options.smoothingEnabled ?? false;
+        this.#smoothingQuality = options.smoothingQuality ?? "medium";
+        this.#dragThreshold = options.dragThreshold ?? 3;
+        this.#detectCollisions = options.detectCollisions ?? false;
+        this.#dirtyRegions = options.dirtyRegions ?? false;
+        this.#fit = options.fit ?? "none";
+        this.#pixelRatio = options.pixelRatio ?? "auto";
+
+        if (!["none", "letterbox", "stretch", "fill"].includes(this.#fit))
+            throw new CGLException("Invalid fit passed to CGLCanvas constructor. Expected \"none\", \"letterbox\", \"stretch\" or \"fill\", got " + this.#fit);
+        if (this.#pixelRatio !== "auto" && (this.#pixelRatio === null || this.#pixelRatio.constructor !== Number || this.#pixelRatio <= 0))
+            throw new CGLException("Invalid pixelRatio passed to CGLCanvas constructor. Expected \"auto\" or a positive number.");
+        
+        // set rendering fields
+        this.#children = []; // contains CGLObjects
+        
+        // assign canvas properties
+        this.#canvas = canvasElem;
+        this.#ctx = ctx;
+        this.#isHeadless = typeof HTMLCanvasElement === "undefined" || !(canvasElem instanceof HTMLCanvasElement);
+        this.#ctx.imageSmoothingEnabled = this.#smoothingEnabled;
+        this.#ctx.imageSmoothingQuality = this.#smoothingQuality;
+
+        this.resize(); // size the backing store for the pixel ratio and fit
+        this.#camera = new CGLCamera(this, options.camera ?? {});
+        this.#index = new CGLSpatialIndex(options.spatialCellSize ?? 128);
+        this.#layers.set("default", new CGLLayer("default"));
+
+        // enable physics, if requested
+        if (options.physics) this.enablePhysics(options.physics === true ? {} : options.physics);
+
+        // bind keyboard events to CGLCanvas
+        this.#keyboard = new CGLKeyboard(this, this.#isHeadless ? null : canvasElem);
+
+        // enable debugging, if requested
+        if (options.debug) this.enableDebug(options.debug === true ? {} : options.debug);
+        if (this.#isHeadless) return;
+
+        // track the container's size, and the pixel ratio (which changes with browser zoom or between screens)
+        if (typeof ResizeObserver !== "undefined" && canvasElem.parentElement) {
+            this.#resizeObserver = new ResizeObserver(() => this.resize());
+            this.#resizeObserver.observe(canvasElem.parentElement);
+        }
+        if (typeof window !== "undefined")
+            window.addEventListener("resize", this.#onWindowResize);
+        this.#watchPixelRatio();
+
+        // bind pointer events to CGLCanvas (mouse, pen and touch)
+        this.#canvas.style.touchAction = "none"; // prevent the browser from scrolling or zooming on touch
+        this.#canvas.addEventListener("pointerdown", (e) => this.#onPointerDown(e));
+        this.#canvas.addEventListener("pointermove", (e) => this.#onPointerMove(e));
+        this.#canvas.addEventListener("pointerup", (e) => this.#onPointerUp(e));
+        this.#canvas.addEventListener("pointercancel", (e) => this.#onPointerCancel(e));
+        this.#canvas.addEventListener("pointerleave", (e) => this.#onPointerLeave(e));
+    }
+
+    // getters and setters
+    get isRunning() {  return this.#frameRequest !== null;  }
+    get isHeadless() {  return this.#isHeadless;  }
+    get width() {  return this.#width;  }
+    get height() {  return this.#height;  }
+    set width(w) {
+        if (w === null || w.constructor !== Number || w <= 0)
+            throw new CGLException("Invalid canvas width: expected positive number.");
+        this.#width = w;
+        this.resize();
+    }
+    set height(h) {
+        if (h === null || h.constructor !== Number || h <= 0)
+            throw new CGLException("Invalid canvas height: expected positive number.");
+        this.#height = h;
+        this.resize();
+    }
+    get fit() {  return this.#fit;  }
+    set fit(f) {
+        if (!["none", "letterbox", "stretch", "fill"].includes(f))
+            throw new CGLException("Invalid fit: expected \"none\", \"letterbox\", \"stretch\" or \"fill\", got " + f);
+        this.#fit = f;
+        this.resize();
+    }
+    // the number of backing store pixels per CSS pixel, set to "auto" to follow the device
+    get pixelRatio() {  return this.#pixelRatio === "auto" ? this.#devicePixelRatio() : this.#pixelRatio;  }
+    set pixelRatio(p) {
+        if (p !== "auto" && (p === null || p.constructor !== Number || p <= 0))
+            throw new CGLException("Invalid pixelRatio: expected \"auto\" or a positive number.");
+        this.#pixelRatio = p;
+        this.resize();
+    }
+    get children() {  return this.#children;  }
+    get keyboard() {  return this.#keyboard;  }
+    get detectCollisions() {  return this.#detectCollisions;  }
+    set detectCollisions(d) {  this.#detectCollisions = d;  }
+    get physics() {  return this.#physics;  }
+    get debug() {  return this.#debug;  }
+    get camera() {  return this.#camera;  }
+    get dirtyRegions() {  return this.#dirtyRegions;  }
+    set dirtyRegions(d) {
+        this.#dirtyRegions = Boolean(d);
+        this.#needsFullRedraw = true;
+    }
+
+    // the layers of this canvas, in draw order
+    get layers() {  return this.#sortedLayers();  }
+
+    // adds a named layer, returns the CGLLayer
+    // options: {zIndex, isVisible, isStatic}
+    addLayer(name, options={}) {
+        if (this.#layers.has(name))
+            throw new CGLException("CGLCanvas already has a layer named \"" + name + "\".");
+
+        const layer = new CGLLayer(name, options);
+        this.#layers.set(name, layer);
+        return layer;
+    }
+
+    // returns the layer with the given name, or null
+    getLayer(name) {  return this.#layers.get(name) ?? null;  }
+
+    // removes a layer, moving its children to the default layer
+    // returns true when the layer is found and removed, false otherwise
+    removeLayer(name) {
+        if (name === "default")
+            throw new CGLException("Cannot remove the default layer.");
+        if (!this.#layers.has(name)) return false;
+
+        for (let child of this.#children)
+            if (child.layer === name) child.layer = "default";
+
+        this.#layers.delete(name);
+        return true;
+    }
+
+    // redraws the whole canvas, including every static layer, on the next frame
+    invalidate() {
+        this.#needsFullRedraw = true;
+        for (let layer of this.#layers.values()) layer.invalidate();
+    }
+
+    // camera shorthands
+    screenToWorld(x, y) {  return this.#camera.screenToWorld(x, y);  }
+    worldToScreen(x, y) {  return this.#camera.worldToScreen(x, y);  }
+
+    // keyboard shorthands
+    isKeyDown(key) {  return this.#keyboard.isKeyDown(key);  }
+    isActionDown(name) {  return this.#keyboard.isActionDown(name);  }
+    bindAction(name, keys) {  this.#keyboard.bindAction(name, keys);  }
+    unbindAction(name) {  return this.#keyboard.unbindAction(name);  }
+
+    // the CGLWidget with keyboard focus, or null (widgets lose focus when they're removed, hidden or disabled)
+    get focused() {
+        if (this.#focused !== null && !(this.#focused.canvas === this && this.#focused.__isFocusable())) this.#focused = null;
+        return this.#focused;
+    }
+
+    // gives a CGLWidget keyboard focus, or removes focus from every widget when null, raising "blur" and "focus" on the widgets
+    focus(widget=null) {
+        if (widget !== null && (!(widget instanceof CGLWidget) || widget.canvas !== this))
+            throw new CGLException("Invalid widget passed to focus. Expected null or a CGLWidget on this canvas.");
+        if (widget !== null && !widget.__isFocusable()) return;
+
+        const previous = this.focused;
+        if (widget === previous) return;
+
+        this.#focused = widget;
+        if (previous !== null) previous.__handleEvent("blur", this, new CGLEvent("blur", null, null, previous, null));
+        if (widget !== null) widget.__handleEvent("focus", this, new CGLEvent("focus", null, null, widget, null));
+    }
+
+    // moves focus to the next (or previous) widget in tab order, returning it, or null once focus moves past the last widget
+    focusNext(reverse=false) {
+        const widgets = this.#focusableWidgets();
+        const i = widgets.indexOf(this.focused);
+        const next = (i === -1 ? widgets.at(reverse ? -1 : 0) : widgets[i + (reverse ? -1 : 1)]) ?? null;
+
+        this.focus(next);
+        return next;
+    }
+
+    // returns the focusable widgets in tab order: positive tabIndexes first, then the order they're drawn in
+    #focusableWidgets() {
+        const widgets = [];
+        const collect = (children) => children.forEach(child => {
+            if (child instanceof CGLGroup && child.isVisible) collect(child.children);
+            else if (child instanceof CGLWidget && child.__isFocusable()) widgets.push(child);
+        });
+        collect([...this.#childrenByLayer().values()].flat());
+
+        const rank = (widget) => widget.tabIndex > 0 ? widget.tabIndex : Number.MAX_SAFE_INTEGER;
+        return widgets.sort((a, b) => rank(a) - rank(b));
+    }
+
+    // passes a DOM keydown event to the focused widget, returning true if it was used (called by CGLKeyboard)
+    // Tab moves focus, letting the browser move focus out of the canvas after the last widget
+    __focusKey(e) {
+        if (e.key === "Tab" && !e.ctrlKey && !e.altKey && !e.metaKey) return this.focusNext(e.shiftKey) !== null;
+        return this.focused?.__onKey(e) ?? false;
+    }
+
+    // returns true if a pointer is hovering over or pressing the object, used by CGLWidget to show its state
+    __isHovered(obj) {  return [...this.#pointers.values()].some(pointer => pointer.hoveredChild === obj);  }
+    __isPressed(obj) {  return [...this.#pointers.values()].some(pointer => pointer.pressedChild === obj);  }
+
+    // dispatches an event raised by a child (ie. a widget clicked with the keyboard), bubbling it through any groups
+    __dispatchEvent(event) {  this.#dispatchEvent(event);  }
+
+    // framerate & frametime setters/getters
+    get frameTime() {  return 1e3/this.#frameRate;  }
+    set frameTime(hz) {  this.#frameRate = 1e3/hz;  }
+    get frameRate() {  return this.#frameRate;  }
+    set frameRate(hz) {  this.#frameRate = hz;  }
+
+    // game clock setters/getters
+    get updateRate() {  return this.#updateRate;  }
+    set updateRate(hz) {
+        if (hz === null || hz.constructor !== Number || hz <= 0)
+            throw new CGLException("Invalid update rate: expected positive number.");
+        this.#updateRate = hz;
+    }
+    get fixedTimestep() {  return 1/this.#updateRate;  } // in seconds
+    get timeScale() {  return this.#timeScale;  }
+    set timeScale(t) {
+        if (t === null || t.constructor !== Number || t < 0)
+            throw new CGLException("Invalid time scale: expected non-negative number.");
+        this.#timeScale = t;
+    }
+    get time() {  return this.#time;  }
+    get isPaused() {  return this.#isPaused;  }
+
+    // restarts the display interval & draw method
+    // waitForAssets: if true, returns a promise which starts the canvas once CGLAssets has finished preloading
+    start(waitForAssets=false) {
+        if (waitForAssets) {
+            const request = this.#startRequest = {};
+            return CGLAssets.whenReady().then(() => {
+                // don't start if stopped (or started again) while waiting
+                if (this.#startRequest === request) this.start();
+            });
+        }
+
+        if (this.isRunning) return void cglWarn("CGLCanvas interval already started, aborting...");
+        this.#startRequest = null;
+
+        // don't simulate the time spent stopped
+        this.#lastTimestamp = null;
+        this.#lastRenderTimestamp = null;
+        this.#frameRequest = this.#requestFrame(this.#loop);
+    }
+
+    // stops the display interval
+    stop() {
+        this.#startRequest = null;
+        if (this.#frameRequest === null) return;
+        this.#cancelFrame(this.#frameRequest);
+        this.#frameRequest = null;
+    }
+
+    // freezes game time while continuing to render and raise pointer events
+    pause() {  this.#isPaused = true;  }
+
+    // unfreezes game time from where it was paused
+    resume() {
+        this.#isPaused = false;
+        this.#accumulator = 0;
+    }
+
+    // advances game time by dt seconds in fixed-timestep increments, then renders a frame
+    // dt defaults to a single fixed timestep; timeScale and pausing are ignored
+    step(dt=this.fixedTimestep) {
+        if (dt === null || dt.constructor !== Number || dt < 0)
+            throw new CGLException("Invalid step duration: expected non-negative number.");
+
+        // split dt into equal updates no longer than the fixed timestep
+        const updates = Math.ceil(dt / this.fixedTimestep - 1e-9);
+        for (let i = 0; i < updates; i++)
+            this.#update(dt / updates);
+
+        this.#draw();
+    }
+
+    // sizes the canvas from its fit mode, where the container is the canvas element's parent:
+    //   "none" keeps the logical width and height, displayed at that size
+    //   "letterbox" keeps the logical width and height, scaled uniformly and centered to fit the container
+    //   "stretch" keeps the logical width and height, stretched to the container's size
+    //   "fill" changes the logical width and height to the container's size (the container shouldn't be sized by its content)
+    // the backing store is scaled by the pixel ratio, so drawing is sharp on HiDPI screens
+    // called automatically when the container or pixel ratio changes, raises "resize" if the size changes
+    resize() {
+        const elem = this.#canvas, ratio = this.pixelRatio;
+        const oldWidth = this.#width, oldHeight = this.#height, oldScaleX = this.#scaleX, oldScaleY = this.#scaleY;
+
+        // the container's content box, in CSS pixels
+        const container = this.#isHeadless ? null : elem.parentElement;
+        const containerWidth = container?.clientWidth ?? 0, containerHeight = container?.clientHeight ?? 0;
+        const hasContainer = this.#fit !== "none" && containerWidth > 0 && containerHeight > 0;
+
+        let displayWidth = this.#width, displayHeight = this.#height;
+        if (hasContainer && this.#fit === "fill") {
+            this.#width = displayWidth = containerWidth;
+            this.#height = displayHeight = containerHeight;
+        } else if (hasContainer && this.#fit === "stretch") {
+            displayWidth = containerWidth;
+            displayHeight = containerHeight;
+        } else if (hasContainer && this.#fit === "letterbox") {
+            const scale = Math.min(containerWidth / this.#width, containerHeight / this.#height);
+            displayWidth = this.#width * scale;
+            displayHeight = this.#height * scale;
+        }
+
+        // resize the backing store only when it changes, since that clears it
+        const backingWidth = Math.max(1, Math.round(displayWidth * ratio)), backingHeight = Math.max(1, Math.round(displayHeight * ratio));
+        if (elem.width !== backingWidth || elem.height !== backingHeight) {
+            elem.width = backingWidth;
+            elem.height = backingHeight;
+            this.#ctx.imageSmoothingEnabled = this.#smoothingEnabled;
+            this.#ctx.imageSmoothingQuality = this.#smoothingQuality;
+        }
+        this.#scaleX = backingWidth / this.#width;
+        this.#scaleY = backingHeight / this.#height;
+
+        // display the canvas at its CSS size, centering letterboxed canvases in their container
+        // (the page's own styles are left alone unless the canvas is fit to its container or its backing store is scaled)
+        const needsStyle = this.#fit !== "none" || ratio !== 1;
+        if (!this.#isHeadless && (needsStyle || this.#isStyled)) {
+            const isLetterboxed = hasContainer && this.#fit === "letterbox";
+            Object.assign(elem.style, {
+                "width": needsStyle ? displayWidth + "px" : "", "height": needsStyle ? displayHeight + "px" : "",
+                "marginLeft": isLetterboxed ? (containerWidth - displayWidth) / 2 + "px" : "",
+                "marginTop": isLetterboxed ? (containerHeight - displayHeight) / 2 + "px" : ""
+            });
+            if (hasContainer) elem.style.display = "block";
+            this.#isStyled = needsStyle;
+        }
+
+        if (this.#width === oldWidth && this.#height === oldHeight && this.#scaleX === oldScaleX && this.#scaleY === oldScaleY) return;
+
+        this.#camera?.__resize(oldWidth, oldHeight);
+        this.#needsFullRedraw = true;
+
+        if (this.#camera !== undefined)
+            this.__handleEvent("resize", this, new CGLEvent("resize", null, null, this, null, {"width": this.#width, "height": this.#height, "pixelRatio": ratio}));
+    }
+
+    #devicePixelRatio() {
+        return this.#isHeadless || typeof window === "undefined" ? 1 : window.devicePixelRatio ?? 1;
+    }
+
+    #onWindowResize = () => this.resize();
+
+    // resizes when the device pixel ratio changes, even if the window doesn't
+    #watchPixelRatio() {
+        this.#pixelRatioQuery?.removeEventListener("change", this.#onPixelRatioChange);
+        this.#pixelRatioQuery = null;
+        if (typeof window === "undefined" || typeof window.matchMedia !== "function") return;
+
+        this.#pixelRatioQuery = window.matchMedia("(resolution: " + this.#devicePixelRatio() + "dppx)");
+        this.#pixelRatioQuery.addEventListener("change", this.#onPixelRatioChange);
+    }
+
+    #onPixelRatioChange = () => {
+        this.#watchPixelRatio(); // the query only matches the old ratio
+        this.resize();
+    };
+
+    // stops the canvas and removes the listeners and observers it added outside of its canvas element
+    // (call before discarding a canvas, ie. when removing it from the page)
+    destroy() {
+        this.stop();
+        this.disableDebug();
+
+        this.#resizeObserver?.disconnect();
+        this.#resizeObserver = null;
+        this.#pixelRatioQuery?.removeEventListener("change", this.#onPixelRatioChange);
+        this.#pixelRatioQuery = null;
+        if (!this.#isHeadless && typeof window !== "undefined")
+            window.removeEventListener("resize", this.#onWindowResize);
+    }
+
+    // draws a single frame on demand without advancing game time, ie. for thumbnails while the canvas is stopped
+    renderFrame() {  this.#draw();  }
+
+    // exports what's drawn on the canvas, returns a promise of the image as a data URL string or a Blob
+    // options: {type: "image/png" | "image/jpeg" | "image/webp", quality: 0 to 1 for lossy types, as: "dataURL" | "blob"}
+    exportImage(options={}) {
+        const type = options.type ?? "image/png", quality = options.quality, as = options.as ?? "dataURL";
+        if (!["dataURL", "blob"].includes(as))
+            throw new CGLException("Invalid export format: expected \"dataURL\" or \"blob\", got " + as);
+
+        const surface = this.#canvas;
+
+        // HTMLCanvasElement (and Node backends) export directly
+        if (as === "dataURL" && typeof surface.toDataURL === "function")
+            return Promise.resolve(surface.toDataURL(type, quality));
+        if (as === "blob" && typeof surface.toBlob === "function") {
+            return new Promise((resolve, reject) => surface.toBlob(blob => {
+                if (blob === null) reject(new CGLException("Failed to export the canvas as " + type + "."));
+                else resolve(blob);
+            }, type, quality));
+        }
+
+        // OffscreenCanvas only exports Blobs
+        if (typeof surface.convertToBlob === "function") {
+            const blob = surface.convertToBlob({"type": type, "quality": quality});
+            return as === "blob" ? blob : blob.then(b => new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(b);
+            }));
+        }
+
+        // surfaces with only data URLs are converted to Blobs
+        if (typeof surface.toDataURL === "function")
+            return fetch(surface.toDataURL(type, quality)).then(response => response.blob());
+
+        return Promise.reject(new CGLException("The canvas surface can't be exported as an image."));
+    }
+
+    // steps game time by 1/fps then exports the frame, count times, returns a promise of the array of images
+    // the engine loop is stopped while recording (and restarted afterwards); options are passed to exportImage
+    recordFrames(count=null, fps=60, options={}) {
+        if (count === null || count.constructor !== Number || count < 1 || count % 1 !== 0)
+            throw new CGLException("Invalid frame count passed to recordFrames: expected positive integer.");
+        if (fps === null || fps.constructor !== Number || fps <= 0)
+            throw new CGLException("Invalid fps passed to recordFrames: expected positive number.");
+
+        const wasRunning = this.isRunning;
+        this.stop();
+
+        // record one frame at a time, so each is exported before the next is drawn
+        const frames = [];
+        let recording = Promise.resolve();
+        for (let i = 0; i < count; i++) {
+            recording = recording.then(() => {
+                this.step(1 / fps);
+                return this.exportImage(options);
+            }).then(image => void frames.push(image));
+        }
+
+        return recording.finally(() => {
+            if (wasRunning) this.start();
+        }).then(() => frames);
+    }
+
+    // the engine loop, called on each animation frame
+    #loop = (timestamp) => {
+        this.#frameRequest = this.#requestFrame(this.#loop);
+        const frameStart = performance.now();
+
+        const elapsed = this.#lastTimestamp === null ? 0 : Math.min((timestamp - this.#lastTimestamp) / 1e3, CGLCanvas.#MAX_FRAME_GAP);
+        this.#lastTimestamp = timestamp;
+
+        // run as many fixed-timestep updates as have passed in game time
+        if (!this.#isPaused) {
+            this.#accumulator += elapsed * this.#timeScale;
+
+            while (this.#accumulator >= this.fixedTimestep) {
+                this.#update(this.fixedTimestep);
+                this.#accumulator -= this.fixedTimestep;
+            }
+        }
+
+        // render no faster than the frame rate (with 1ms of leeway for jittery timestamps)
+        if (this.#lastRenderTimestamp !== null && timestamp - this.#lastRenderTimestamp < this.frameTime - 1) return;
+        this.#lastRenderTimestamp = timestamp;
+        this.#draw();
+
+        if (this.#debug !== null) this.#debug.__recordFrame(timestamp, performance.now() - frameStart);
+    };
+
+    // requestAnimationFrame, falling back to timeouts where it's unavailable
+    #requestFrame(callback) {
+        if (typeof requestAnimationFrame === "function") return requestAnimationFrame(callback);
+        return setTimeout(() => callback(performance.now()), this.frameTime);
+    }
+
+    #cancelFrame(request) {
+        if (typeof cancelAnimationFrame === "function") cancelAnimationFrame(request);
+        else clearTimeout(request);
+    }
+
+    // advances game time by one update of dt seconds
+    #update(dt) {
+        this.#time += dt;
+        this.__handleEvent("update", this, new CGLEvent("update", null, null, this, null, {"dt": dt, "time": this.#time}));
+
+        // move each child, then resolve any physics and collisions
+        for (let child of this.#children)
+            if (child.isVisible) child.__move(dt); // cull hidden elements
+
+        if (this.#detectCollisions) this.#updateCollisions();
+        if (this.#physics !== null) this.#physics.__step(this.#children, dt);
+
+        this.#camera.__update(dt);
+    }
+
+    // enables rigid-body physics for children with a bodyType, returns the CGLPhysicsWorld
+    // options: {gravity: {x, y}, bounds: null | true | {x, y, width, height}, iterations}
+    enablePhysics(options={}) {
+        if (this.#physics !== null) {
+            cglWarn("CGLCanvas physics already enabled, aborting...");
+            return this.#physics;
+        }
+
+        this.#physics = new CGLPhysicsWorld(this, options);
+        return this.#physics;
+    }
+
+    // disables rigid-body physics, leaving children with their current velocities
+    disablePhysics() {  this.#physics = null;  }
+
+    // draws hit regions, bounds, pivots, velocities and frame stats over the canvas, returns the CGLDebugOverlay
+    // options: {hitRegions, bounds, pivots, velocities, stats, inspector} (booleans), velocityScale
+    enableDebug(options={}) {
+        if (this.#debug !== null) {
+            cglWarn("CGLCanvas debugging already enabled, aborting...");
+            return this.#debug;
+        }
+
+        this.#debug = new CGLDebugOverlay(this, this.#isHeadless ? null : this.#canvas, options);
+        return this.#debug;
+    }
+
+    disableDebug() {
+        if (this.#debug === null) return;
+
+        this.#debug.__destroy();
+        this.#debug = null;
+        this.#needsFullRedraw = true; // clear the overlay
+    }
+
+    // draws content on the canvas when called by the engine loop
+    #draw() {
+        /*************** draw children ***************/
+
+        const ctx = this.#ctx;
+
+        // store any values that will be changed for later reassignmet
+        const opts = {"lineWidth": ctx.lineWidth, "fillStyle": ctx.fillStyle};
+
+        // draw in logical pixels, scaled to the backing store
+        ctx.setTransform(this.#scaleX, 0, 0, this.#scaleY, 0, 0);
+
+        const layers = this.#childrenByLayer();
+        const camera = this.#camera;
+        const viewKey = [this.#width, this.#height, this.#scaleX, this.#scaleY, camera.x, camera.y, camera.zoom, camera.rotation].join(",");
+
+        // redraw the caches of any static layers which have changed
+        let cachesChanged = false;
+        for (let [layer, children] of layers) {
+            if (!layer.isStatic || !layer.isVisible || !layer.__needsRedraw(viewKey, children)) continue;
+
+            cachesChanged = layer.__redraw(this.#canvas.width, this.#canvas.height, viewKey, children, (cacheCtx) => {
+                cacheCtx.setTransform(this.#scaleX, 0, 0, this.#scaleY, 0, 0);
+                cacheCtx.imageSmoothingEnabled = this.#smoothingEnabled;
+                cacheCtx.imageSmoothingQuality = this.#smoothingQuality;
+                this.#renderChildren(cacheCtx, children);
+            }) || cachesChanged;
+        }
+
+        // find the regions to redraw, or null to redraw everything
+        const layoutKey = viewKey + "|" + [...layers.keys()].map(layer => layer.name + ":" + layer.isVisible).join(",");
+        const isFullRedraw = this.#needsFullRedraw || cachesChanged || layoutKey !== this.#lastLayoutKey || this.#debug !== null;
+        const regions = this.#dirtyRegions ? this.#findDirtyRegions(layers, isFullRedraw) : null;
+        this.#needsFullRedraw = false;
+        this.#lastLayoutKey = layoutKey;
+
+        // skip drawing entirely when nothing has changed
+        if (regions === null || regions.length > 0) {
+            ctx.save();
+
+            // only clear and draw inside of the dirty regions
+            if (regions !== null) {
+                ctx.beginPath();
+                regions.forEach(r => ctx.rect(r.x, r.y, r.width, r.height));
+                ctx.clip();
+            }
+            ctx.clearRect(0, 0, this.width, this.height); // clear the canvas
+
+            for (let [layer, children] of layers) {
+                if (!layer.isVisible) continue;
+
+                if (layer.isStatic && layer.__cache !== null)
+                    ctx.drawImage(layer.__cache, 0, 0, this.#width, this.#height);
+                else
+                    this.#renderChildren(ctx, children, regions);
+            }
+
+            ctx.restore();
+        }
+
+        if (this.#debug !== null) this.#debug.__draw(ctx);
+
+        // reassign any previous values that were overridden
+        Object.assign(this.#ctx, opts);
+
+        /*************** call hover events ***************/
+
+        this.#updateHover();
+
+        this.__handleEvent("render", this, new CGLEvent("render", null, null, this, null, {"time": this.#time}));
+    }
+    
+    // draws children through the bottom-left flip and the camera, skipping any outside of the regions being redrawn
+    #renderChildren(ctx, children, regions=null) {
+        // flip canvas to draw from BOTTOM LEFT, then view the world through the camera
+        ctx.save();
+        ctx.translate(0, this.#height);
+        ctx.scale(1, -1); // flip vertically
+        this.#camera.__apply(ctx);
+        ctx.__setView?.(); // let recording contexts know where the world is
+
+        const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+        // for each child, draw them on this canvas
+        for (let child of children) {
+            if (!child.isVisible) continue; // cull hidden elements
+            if (regions !== null && !regions.some(region => overlaps(region, this.#screenRects.get(child)))) continue;
+
+            child.__render(ctx);
+        }
+
+        // unflip canvas
+        ctx.restore();
+    }
+
+    // records where each child is on screen, returning the regions around those which moved, appeared, disappeared or are animating
+    // returns null to redraw everything when isFullRedraw is true
+    #findDirtyRegions(layers, isFullRedraw) {
+        const rects = new Map(), regions = [];
+        const isSame = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+        // static layers are redrawn in full whenever they change, unless they couldn't be cached (ie. without a DOM)
+        for (let [layer, children] of layers) {
+            if (!layer.isVisible || (layer.isStatic && layer.__cache !== null)) continue;
+
+            for (let child of children) {
+                if (!child.isVisible) continue;
+
+                const rect = this.#screenRectOf(child), last = this.#screenRects.get(child);
+                rects.set(child, rect);
+
+                if (last === undefined || child.__isAnimating() || !isSame(rect, last)) {
+                    regions.push(rect);
+                    if (last !== undefined && !isSame(rect, last)) regions.push(last);
+                }
+            }
+        }
+
+        // children which were hidden or removed leave their old region behind
+        for (let [child, last] of this.#screenRects)
+            if (!rects.has(child)) regions.push(last);
+
+        this.#screenRects = rects;
+        return isFullRedraw ? null : regions;
+    }
+
+    // returns the child's bounding box on screen as {x, y, width, height} from the top-left, padded for outlines, shadows and antialiasing
+    #screenRectOf(child) {
+        const {x, y, width, height} = child.getBounds();
+        const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]].map(([cx, cy]) => {
+            const point = this.#camera.worldToScreen(cx, cy);
+            return [point.x, point.y];
+        });
+        const {minX, minY, maxX, maxY} = __cglShapeBounds({"type": "poly", "points": corners});
+
+        const shadow = child.shadow === null ? 0 : (child.shadow.blur ?? 0) + Math.max(Math.abs(child.shadow.offsetX ?? 0), Math.abs(child.shadow.offsetY ?? 0));
+        const pad = 2 + child.outlineThickness * this.#camera.zoom + shadow;
+
+        const left = Math.floor(minX - pad), top = Math.floor(this.#height - maxY - pad);
+        return {"x": left, "y": top, "width": Math.ceil(maxX + pad) - left, "height": Math.ceil(this.#height - minY + pad) - top};
+    }
+
+    #sortedLayers() {  return [...this.#layers.values()].sort((a, b) => a.zIndex - b.zIndex);  }
+
+    // the layer a child is drawn on, which is the default layer if its layer doesn't exist
+    #layerOf(child) {  return this.#layers.get(child.layer) ?? this.#layers.get("default");  }
+
+    // returns a Map from each layer (in draw order) to its children (in draw order)
+    #childrenByLayer() {
+        const layers = new Map(this.#sortedLayers().map(layer => [layer, []]));
+        for (let child of this.#children) layers.get(this.#layerOf(child)).push(child);
+        return layers;
+    }
+
+    // returns true if the child and its layer are both visible
+    #isShown(child) {  return child.isVisible && this.#layerOf(child).isVisible;  }
+
+    // append child to the end of the children array (draws above everything)
+    append(obj=null) {
+        if (obj === null || !(obj instanceof CGLObject))
+            throw new CGLException("Invalid CGLCanvas child. Expected subclass of CGLObject, got " + (obj === null ? null : obj.constructor.name));
+        else if (obj.canvas !== null)
+            throw new CGLException("CGLObject already belongs to a canvas: " + obj.canvas.id);
+        else if (obj.parent !== null)
+            throw new CGLException("CGLObject already belongs to a group: " + obj.parent.id);
+
+        // otherwise, append the child
+        this.#children.push(obj);
+        obj.canvas = this;
+        this.#movedChildren.add(obj);
+        this.#isOrderDirty = true;
+    }
+    
+    // append child to start of array (draws behind everything)
+    prepend(obj=null) {
+        if (obj === null || !(obj instanceof CGLObject))
+            throw new CGLException("Invalid CGLCanvas child. Expected subclass of CGLObject, got " + (obj === null ? null : obj.constructor.name));
+        else if (obj.canvas !== null)
+            throw new CGLException("CGLObject already belongs to a canvas: " + obj.canvas.id);
+        else if (obj.parent !== null)
+            throw new CGLException("CGLObject already belongs to a group: " + obj.parent.id);
+
+        // otherwise, append the child
+        this.#children.unshift(obj);
+        obj.canvas = this;
+        this.#movedChildren.add(obj);
+        this.#isOrderDirty = true;
+    }
+
+    // remove a child from the children array
+    // returns true when the object is found and removed, false otherwise
+    remove(obj=null) {
+        if (obj === null || !(obj instanceof CGLObject))
+            throw new CGLException("Cannot remove non-CGLObject from canvas.");
+
+        for (let i = 0; i < this.#children.length; i++) {
+            if (this.#children[i] === obj) {
+                this.#children.splice(i, 1);
+                obj.canvas = null;
+                this.#index.remove(obj);
+                this.#movedChildren.delete(obj);
+                this.#isOrderDirty = true;
+                return true;
+            }
+        }
+
+        // base case
+        return false;
+    }
+
+    // tests each pair of children for collisions, raising collisionstart, collision and collisionend on both
+    #updateCollisions() {
+        const contacts = new Map();
+
+        // find the collision shapes and bounding boxes of every shown child that can collide, including those in groups
+        const leaves = [];
+        const addLeaves = (children) => children.forEach(child => child.isVisible && (child instanceof CGLGroup ? addLeaves(child.children) : leaves.push(child)));
+        addLeaves(this.#children.filter(child => this.#isShown(child)));
+
+        // skip the pairwise tests when nothing is listening for collisions
+        const types = ["collisionstart", "collision", "collisionend"];
+        if (!leaves.some(child => types.some(type => child.hasListeners(type)))) {
+            this.#contacts = new Map();
+            return;
+        }
+
+        const bodies = leaves.filter(child => child.collisionLayer !== 0).map(child => {
+            const shape = child.__getCanvasCollisionShape();
+            return {"child": child, "shape": shape, "bounds": __cglShapeBounds(shape)};
+        });
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i+1; j < bodies.length; j++) {
+                const a = bodies[i], b = bodies[j];
+                if (!a.child.canCollideWith(b.child)) continue;
+
+                // skip the exact test if the bounding boxes don't overlap
+                if (a.bounds.maxX < b.bounds.minX || b.bounds.maxX < a.bounds.minX || a.bounds.maxY < b.bounds.minY || b.bounds.maxY < a.bounds.minY)
+                    continue;
+
+                const contact = __cglCollideShapes(a.shape, b.shape);
+                if (contact !== null)
+                    contacts.set(a.child.id + ":" + b.child.id, {"a": a.child, "b": b.child, "contact": contact});
+            }
+        }
+
+        // raise events on both children of each pair, with the normal pointing away from whichever is the target
+        const raise = (type, a, b, contact) => {
+            const {normal, depth, point} = contact;
+            const flipped = {"x": -normal.x, "y": -normal.y};
+            a.__handleEvent(type, this, new CGLEvent(type, point.x, point.y, a, null, {"other": b, "normal": normal, "depth": depth}));
+            b.__handleEvent(type, this, new CGLEvent(type, point.x, point.y, b, null, {"other": a, "normal": flipped, "depth": depth}));
+        };
+
+        for (let [key, {a, b, contact}] of contacts) {
+            if (!this.#contacts.has(key)) raise("collisionstart", a, b, contact);
+            raise("collision", a, b, contact);
+        }
+
+        // don't raise collisionend on children which were removed from this canvas
+        for (let [key, {a, b, contact}] of this.#contacts)
+            if (!contacts.has(key) && a.canvas === this && b.canvas === this)
+                raise("collisionend", a, b, contact);
+
+        this.#contacts = contacts;
+    }
+
+    // converts the position of a DOM pointer event into the bottom-left coordinate system
+    // (scaled from CSS pixels to logical pixels, for any fit or CSS size)
+    #toCanvasCoords(e) {
+        const elem = this.#canvas, rect = elem.getBoundingClientRect();
+        const x = (e.clientX - rect.left - elem.clientLeft) * this.#width / (elem.clientWidth || this.#width);
+        const y = (e.clientY - rect.top - elem.clientTop) * this.#height / (elem.clientHeight || this.#height);
+        return {"x": x, "y": this.#height - y};
+    }
+
+    // returns true if the given pointer is within the canvas
+    #isInCanvas(pointer) {
+        return pointer.screenX >= 0 && pointer.screenY >= 0 && pointer.screenX <= this.#width && pointer.screenY <= this.#height;
+    }
+
+    // moves a pointer to the position of a DOM pointer event
+    #movePointer(pointer, e) {
+        const {x, y} = this.#toCanvasCoords(e);
+        pointer.screenX = x;
+        pointer.screenY = y;
+        this.#syncPointer(pointer);
+    }
+
+    // updates the world position of a pointer, since the camera may have moved beneath it
+    #syncPointer(pointer) {
+        if (pointer.screenX === null) return void (pointer.x = pointer.y = null);
+        Object.assign(pointer, this.#camera.screenToWorld(pointer.screenX, pointer.screenY));
+    }
+
+    // returns the topmost clickable child at the given position, or null
+    #topmostChildAt(x, y) {
+        const children = this.#childrenAt(x, y, true, true);
+        return children.length ? children[children.length-1] : null;
+    }
+
+    // dispatches a CGLEvent to its target, then bubbles it up through any groups to this canvas
+    #dispatchEvent(event) {
+        if (event.target !== this) {
+            event.target.__handleEvent(event.type, this, event);
+
+            for (let group = event.target.parent; group !== null && !event.propagationStopped; group = group.parent)
+                group.__handleEvent(event.type, this, event);
+        }
+
+        if (!event.propagationStopped && this.hasListeners(event.type))
+            this.__handleEvent(event.type, this, event);
+    }
+
+    // creates a CGLEvent for the given pointer, positioned in world coordinates
+    #pointerEvent(type, pointer, target, originalEvent, details={}) {
+        details = {"screenX": pointer.screenX, "screenY": pointer.screenY, "pointerId": pointer.id, "pointerType": pointer.type, "isPrimary": pointer.isPrimary, ...details};
+        if (target instanceof CGLObject) details = {...target.__pointerDetails(pointer.x, pointer.y), ...details};
+        return new CGLEvent(type, pointer.x, pointer.y, target, originalEvent, details);
+    }
+
+    // raises hover, mouseenter and mouseleave events on whatever children are under each pointer
+    #updateHover() {
+        let cursor = "";
+
+        for (let pointer of this.#pointers.values()) {
+            this.#syncPointer(pointer);
+            const target = this.#updatePointerHover(pointer, null);
+
+            if (target !== null) {
+                target.__handleEvent("hover", this, this.#pointerEvent("hover", pointer, target, null));
+                if (pointer.type !== "touch") cursor = target.cursor;
+            }
+        }
+
+        // update cursor
+        if (!this.#isHeadless) this.#canvas.style.cursor = cursor;
+    }
+
+    // raises mouseenter and mouseleave when the topmost child under a pointer changes, returns the topmost child
+    #updatePointerHover(pointer, originalEvent) {
+        const target = pointer.x === null ? null : this.#topmostChildAt(pointer.x, pointer.y);
+        if (target === pointer.hoveredChild) return target;
+
+        const prevChild = pointer.hoveredChild;
+        pointer.hoveredChild = target;
+
+        // don't raise mouseleave on children which were removed from this canvas
+        if (prevChild !== null && prevChild.canvas === this)
+            prevChild.__handleEvent("mouseleave", this, this.#pointerEvent("mouseleave", pointer, prevChild, originalEvent));
+        if (target !== null)
+            target.__handleEvent("mouseenter", this, this.#pointerEvent("mouseenter", pointer, target, originalEvent));
+
+        return target;
+    }
+
+    // returns the state of the given DOM pointer event, creating it if it's new
+    #getPointer(e) {
+        if (!this.#pointers.has(e.pointerId)) {
+            this.#pointers.set(e.pointerId, {
+                "id": e.pointerId,
+                "type": e.pointerType,
+                "isPrimary": e.isPrimary,
+                "x": null, "y": null, // the current position of the pointer, in world coordinates
+                "screenX": null, "screenY": null, // the current position of the pointer, in bottom-left canvas coordinates
+                "hoveredChild": null, // the topmost CGLObject under the pointer
+                "pressedChild": undefined, // the CGLObject the pointer was pressed down on, null for the canvas, or undefined if not pressed
+                "pressPos": null, // where the pointer was pressed down, in world and screen coordinates
+                "dragPos": null // the last position a drag event was raised at, or null if not dragging
+            });
+        }
+
+        return this.#pointers.get(e.pointerId);
+    }
+
+    // returns the active (pressed) touch pointers
+    #activeTouches() {
+        return [...this.#pointers.values()].filter(p => p.type === "touch" && p.pressedChild !== undefined);
+    }
+
+    #onPointerDown(e) {
+        const pointer = this.#getPointer(e);
+        this.#movePointer(pointer, e);
+
+        // keep receiving this pointer's events while it's pressed, even outside of the canvas
+        this.#canvas.setPointerCapture(e.pointerId);
+        this.#canvas.focus({"preventScroll": true});
+
+        // start tracking the press so that it can be dragged
+        const target = this.#topmostChildAt(pointer.x, pointer.y);
+        pointer.pressedChild = target;
+        pointer.pressPos = {"x": pointer.x, "y": pointer.y, "screenX": pointer.screenX, "screenY": pointer.screenY};
+        pointer.dragPos = null;
+
+        // pressing a widget focuses it, and pressing anything else removes focus
+        this.focus(target instanceof CGLWidget && target.__isFocusable() ? target : null);
+
+        this.#dispatchEvent(this.#pointerEvent("mousedown", pointer, target ?? this, e));
+        if (pointer.type === "touch") this.#updateGesture(e, true);
+    }
+
+    #onPointerMove(e) {
+        const pointer = this.#getPointer(e);
+        this.#movePointer(pointer, e);
+
+        this.#updateGesture(e);
+
+        // raise drag events on the pressed child
+        const target = pointer.pressedChild;
+        if (target === undefined || target === null || target.canvas !== this) return;
+
+        // start dragging once the pointer moves far enough from where it was pressed
+        if (pointer.dragPos === null) {
+            if (Math.hypot(pointer.x - pointer.pressPos.x, pointer.y - pointer.pressPos.y) < this.#dragThreshold) return;
+
+            pointer.dragPos = pointer.pressPos;
+            this.#dispatchEvent(this.#pointerEvent("dragstart", {...pointer, ...pointer.pressPos}, target, e, {"dx": 0, "dy": 0}));
+        }
+
+        const details = {"dx": pointer.x - pointer.dragPos.x, "dy": pointer.y - pointer.dragPos.y};
+        pointer.dragPos = {"x": pointer.x, "y": pointer.y};
+        this.#dispatchEvent(this.#pointerEvent("drag", pointer, target, e, details));
+    }
+
+    // ends any drag, then raises mouseup and click on the child under the pointer
+    #onPointerUp(e) {
+        const pointer = this.#getPointer(e);
+        this.#movePointer(pointer, e);
+
+        const pressedChild = pointer.pressedChild;
+        const wasDragged = pointer.dragPos !== null;
+
+        // finish dragging the pressed child
+        if (wasDragged && pressedChild !== null && pressedChild.canvas === this) {
+            const details = {"dx": pointer.x - pointer.dragPos.x, "dy": pointer.y - pointer.dragPos.y, "cancelled": false};
+            this.#dispatchEvent(this.#pointerEvent("dragend", pointer, pressedChild, e, details));
+        }
+
+        this.#releasePointer(pointer, e);
+
+        // only raise mouseup and click for releases over the canvas
+        if (!this.#isInCanvas(pointer)) return void this.#removePointer(pointer, e);
+
+        const target = this.#topmostChildAt(pointer.x, pointer.y);
+        this.#dispatchEvent(this.#pointerEvent("mouseup", pointer, target ?? this, e));
+
+        // a drag doesn't count as a click, and neither does a release away from what was pressed (the child, or the canvas' background)
+        const isReleasedOnPress = pressedChild === null ? target === null : this.#isWithin(target, pressedChild);
+        if (!wasDragged && pressedChild !== undefined && isReleasedOnPress)
+            this.#dispatchEvent(this.#pointerEvent("click", pointer, pressedChild ?? this, e));
+
+        // touch pointers stop existing once they're lifted
+        if (pointer.type === "touch") this.#removePointer(pointer, e);
+    }
+
+    // returns true if the child is the container or one of its descendants
+    #isWithin(child, container) {
+        for (let obj = child; obj !== null; obj = obj.parent)
+            if (obj === container) return true;
+        return false;
+    }
+
+    // the browser took over the pointer (ie. for scrolling), so cancel any drag without clicking
+    #onPointerCancel(e) {
+        const pointer = this.#getPointer(e);
+        const pressedChild = pointer.pressedChild;
+
+        if (pressedChild !== undefined && pressedChild !== null && pressedChild.canvas === this) {
+            if (pointer.dragPos !== null)
+                this.#dispatchEvent(this.#pointerEvent("dragend", pointer, pressedChild, e, {"dx": 0, "dy": 0, "cancelled": true}));
+            this.#dispatchEvent(this.#pointerEvent("pointercancel", pointer, pressedChild, e));
+        }
+
+        this.#releasePointer(pointer, e);
+        this.#removePointer(pointer, e);
+    }
+
+    // hovering pointers (ie. the mouse) stop hovering anything once they leave the canvas
+    #onPointerLeave(e) {
+        const pointer = this.#pointers.get(e.pointerId);
+        if (pointer !== undefined && pointer.pressedChild === undefined)
+            this.#removePointer(pointer, e);
+    }
+
+    // stops tracking a press of the given pointer
+    #releasePointer(pointer, e) {
+        const wasTouching = pointer.type === "touch" && pointer.pressedChild !== undefined;
+
+        pointer.pressedChild = undefined;
+        pointer.pressPos = null;
+        pointer.dragPos = null;
+
+        if (this.#canvas.hasPointerCapture?.(pointer.id))
+            this.#canvas.releasePointerCapture(pointer.id);
+
+        if (wasTouching) this.#updateGesture(e, true);
+    }
+
+    // stops tracking the given pointer entirely, raising mouseleave on whatever it was hovering
+    #removePointer(pointer, e) {
+        pointer.x = pointer.y = pointer.screenX = pointer.screenY = null;
+        this.#updatePointerHover(pointer, e);
+        this.#pointers.delete(pointer.id);
+
+        if (pointer.type !== "touch") this.#canvas.style.cursor = "";
+    }
+
+    // raises pinch and pan gesture events while exactly two touches are pressed
+    // distances are measured in screen pixels, so that gestures can move the camera without feedback
+    #updateGesture(e, touchesChanged=false) {
+        const touches = this.#activeTouches();
+        const raise = (type, centerX, centerY, details) => {
+            const {x, y} = this.#camera.screenToWorld(centerX, centerY);
+            this.__handleEvent(type, this, new CGLEvent(type, x, y, this, e, {"screenX": centerX, "screenY": centerY, ...details}));
+        };
+
+        // the number of touches changed, so restart or end the gesture
+        if (touchesChanged) {
+            if (this.#gesture !== null) {
+                const {centerX, centerY, scale} = this.#gesture;
+                this.#gesture = null;
+                raise("gestureend", centerX, centerY, {"scale": scale});
+            }
+
+            if (touches.length !== 2) return;
+
+            const [a, b] = touches;
+            this.#gesture = {
+                "startDistance": Math.hypot(b.screenX - a.screenX, b.screenY - a.screenY) || 1,
+                "distance": Math.hypot(b.screenX - a.screenX, b.screenY - a.screenY) || 1,
+                "centerX": (a.screenX + b.screenX) / 2,
+                "centerY": (a.screenY + b.screenY) / 2,
+                "scale": 1
+            };
+
+            return void raise("gesturestart", this.#gesture.centerX, this.#gesture.centerY, {"scale": 1});
+        }
+
+        if (this.#gesture === null || touches.length !== 2) return;
+
+        const [a, b] = touches;
+        const gesture = this.#gesture;
+        const distance = Math.hypot(b.screenX - a.screenX, b.screenY - a.screenY) || 1;
+        const centerX = (a.screenX + b.screenX) / 2, centerY = (a.screenY + b.screenY) / 2;
+
+        // raise pinch with the total and incremental scale factors
+        if (distance !== gesture.distance) {
+            const details = {"scale": distance / gesture.startDistance, "deltaScale": distance / gesture.distance};
+            gesture.scale = details.scale;
+            gesture.distance = distance;
+            raise("pinch", centerX, centerY, details);
+        }
+
+        // raise pan with the movement of the center point between the touches
+        if (centerX !== gesture.centerX || centerY !== gesture.centerY) {
+            const details = {"dx": centerX - gesture.centerX, "dy": centerY - gesture.centerY};
+            gesture.centerX = centerX;
+            gesture.centerY = centerY;
+            raise("pan", centerX, centerY, details);
+        }
+    }
+
+    // get whatever child is at the current relative x-y position (regardless of visibility)
+    // for groups, this is the topmost visible and clickable descendant at the position
+    #childrenAt(x, y, excludeInvisible=false, excludeClickOmitted=false) {
+        let children = [];
+
+        // only run the exact test on children whose bounding boxes contain the point
+        for (let child of this.#candidatesIn(x, y, x, y)) {
+            if ((!this.#isShown(child) && excludeInvisible) || (child.ignoreClicks && excludeClickOmitted)) continue;
+
+            const hit = child.__hitTest(x, y);
+            if (hit !== null) children.push(hit);
+        }
+
+        return children;
+    }
+
+    // called by a child (or its outermost group) when its bounds change, so it's re-filed before the next query
+    __markMoved(child) {  this.#movedChildren.add(child);  }
+
+    // re-files the children which have moved since the index was last refreshed
+    #refreshIndex() {
+        if (this.#isOrderDirty) {
+            this.#indexOrder = new Map(this.#children.map((child, i) => [child, i]));
+            this.#isOrderDirty = false;
+        }
+
+        // pad the bounds so points which are close enough to click the child are still found
+        for (let child of this.#movedChildren) {
+            const {x, y, width, height} = child.getBounds();
+            const pad = child.__getHitPadding();
+            this.#index.update(child, {"minX": x - pad, "minY": y - pad, "maxX": x + width + pad, "maxY": y + height + pad});
+        }
+        this.#movedChildren.clear();
+    }
+
+    // returns the children whose bounding boxes overlap the box, in draw order (by layer, then position in the children array)
+    #candidatesIn(minX, minY, maxX, maxY) {
+        this.#refreshIndex();
+
+        const layerRanks = new Map(this.#sortedLayers().map((layer, i) => [layer, i]));
+        const rankOf = (child) => layerRanks.get(this.#layerOf(child));
+        return [...this.#index.query(minX, minY, maxX, maxY)].sort((a, b) => rankOf(a) - rankOf(b) || this.#indexOrder.get(a) - this.#indexOrder.get(b));
+    }
+
+    // returns true if any visible part of the child overlaps the collision shape
+    #overlapsShape(child, shape) {
+        if (!child.isVisible || (child.canvas === this && !this.#isShown(child))) return false;
+        if (child instanceof CGLGroup) return child.children.some(c => this.#overlapsShape(c, shape));
+        return __cglCollideShapes(child.__getCanvasCollisionShape(), shape) !== null;
+    }
+
+    // returns the distance from a point to the child's shape, or 0 if the point is inside it
+    #distanceTo(child, x, y) {
+        if (!child.isVisible || (child.canvas === this && !this.#isShown(child))) return Infinity;
+        if (child instanceof CGLGroup) return Math.min(Infinity, ...child.children.map(c => this.#distanceTo(c, x, y)));
+
+        const shape = child.__getCanvasCollisionShape();
+        if (shape.type === "circle") return Math.max(0, Math.hypot(x - shape.x, y - shape.y) - shape.radius);
+        if (__cglCollideShapes(shape, {"type": "circle", "x": x, "y": y, "radius": 0}) !== null) return 0;
+
+        return Math.min(...shape.points.map((p, i) => __cglDistToSegment(x, y, p, shape.points[(i+1) % shape.points.length])));
+    }
+
+    // spatial queries, in world coordinates; each returns visible children (groups as a whole), topmost first
+    // returns the children at the point
+    objectsAt(x, y) {
+        return this.#candidatesIn(x, y, x, y).filter(child => this.#isShown(child) && child.__isPointInBounds(x, y)).reverse();
+    }
+
+    // returns the children overlapping the rectangle, where x, y is its bottom-left corner
+    objectsInRect(x, y, width, height) {
+        const shape = {"type": "poly", "points": [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]};
+        return this.#candidatesIn(x, y, x + width, y + height).filter(child => this.#overlapsShape(child, shape)).reverse();
+    }
+
+    // returns the children overlapping the circle
+    objectsInRadius(x, y, radius) {
+        const shape = {"type": "circle", "x": x, "y": y, "radius": radius};
+        return this.#candidatesIn(x - radius, y - radius, x + radius, y + radius).filter(child => this.#overlapsShape(child, shape)).reverse();
+    }
+
+    // returns the child closest to the point (0 if the point is inside it), or null if there are none within maxDistance
+    // options: {maxDistance: number, filter: (child) => boolean}
+    nearest(x, y, options={}) {
+        const filter = options.filter ?? (() => true);
+        this.#refreshIndex();
+        return this.#index.nearest(x, y, child => filter(child) ? this.#distanceTo(child, x, y) : Infinity, options.maxDistance ?? Infinity);
+    }
+
+    // saves the camera, layers, physics settings and children (in z-order) as a versioned JSON-compatible object
+    // also used by JSON.stringify
+    toJSON() {
+        const camera = this.#camera, physics = this.#physics;
+
+        return {
+            "version": CGL_SCENE_VERSION,
+            "camera": {"x": camera.x, "y": camera.y, "zoom": camera.zoom, "rotation": camera.rotation, "bounds": structuredClone(camera.bounds)},
+            "layers": this.layers.map(layer => ({"name": layer.name, "zIndex": layer.zIndex, "isVisible": layer.isVisible, "isStatic": layer.isStatic})),
+            "physics": physics === null ? null : {"gravity": {...physics.gravity}, "iterations": physics.iterations, "bounds": physics.bounds},
+            "children": this.#children.map(child => CGLSerializers.toJSON(child))
+        };
+    }
+
+    // creates a canvas from a scene saved by toJSON(), with options passed to the constructor
+    // (the scene's camera and physics settings take priority)
+    static fromJSON(canvasElem, data=null, options={}) {
+        CGLSerializers.__checkScene(data);
+
+        const sceneOptions = {...options};
+        if (data.camera !== undefined) sceneOptions.camera = data.camera;
+        if (data.physics !== undefined) sceneOptions.physics = data.physics ?? false;
+
+        const canvas = new CGLCanvas(canvasElem, sceneOptions);
+
+        for (let {name, ...layerOptions} of data.layers ?? []) {
+            if (name !== "default") {
+                canvas.addLayer(name, layerOptions);
+                continue;
+            }
+
+            const layer = canvas.getLayer("default");
+            layer.zIndex = layerOptions.zIndex ?? 0;
+            layer.isVisible = layerOptions.isVisible ?? true;
+            layer.isStatic = layerOptions.isStatic ?? false;
+        }
+
+        (data.children ?? []).forEach(child => canvas.append(CGLSerializers.fromJSON(child)));
+        return canvas;
+    }
+}
+
+/****************** END CGLCANVAS CLASS ******************/
+/****************** START CGLCOLLISION HELPERS ******************/
+
+// collision shapes are in bottom-left canvas coordinates, either:
+//   {"type": "poly", "points": [[x, y], ...]} for convex polygons in counter-clockwise order
+//   {"type": "circle", "x": x, "y": y, "radius": r} for circles
+
+// returns the convex hull of an array of [x, y] points, in counter-clockwise order (monotone chain)
+const __cglConvexHull = (points) => {
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const lower = [], upper = [];
+
+    for (let p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length-2], lower[lower.length-1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+
+    for (let i = sorted.length-1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length-2], upper[upper.length-1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+
+    // the last point of each half is the first point of the other
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+};
+
+// returns count points around an ellipse centered at cx, cy with radii rx and ry
+const __cglEllipsePoints = (cx, cy, rx, ry, count=32) => {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const t = 2 * Math.PI * i / count;
+        points.push([cx + Math.cos(t) * rx, cy + Math.sin(t) * ry]);
+    }
+    return points;
+};
+
+// maps a collision shape through transform(x, y) => [x, y], turning circles which get stretched into polygons
+const __cglTransformShape = (shape, transform) => {
+    if (shape.type === "circle") {
+        const [x, y] = transform(shape.x, shape.y);
+        const [ax, ay] = transform(shape.x + shape.radius, shape.y);
+        const [bx, by] = transform(shape.x, shape.y + shape.radius);
+        const radiusX = Math.hypot(ax - x, ay - y), radiusY = Math.hypot(bx - x, by - y);
+
+        if (Math.abs(radiusX - radiusY) <= 1e-9 * Math.max(1, radiusX))
+            return {"type": "circle", "x": x, "y": y, "radius": radiusX};
+        shape = {"type": "poly", "points": __cglEllipsePoints(shape.x, shape.y, shape.radius, shape.radius)};
+    }
+
+    // reflections reverse the winding, so rebuild the hull counter-clockwise
+    return {"type": "poly", "points": __cglConvexHull(shape.points.map(([x, y]) => transform(x, y)))};
+};
+
+// returns the axis-aligned bounding box of a collision shape as {minX, minY, maxX, maxY}
+const __cglShapeBounds = (shape) => {
+    if (shape.type === "circle")
+        return {"minX": shape.x - shape.radius, "minY": shape.y - shape.radius, "maxX": shape.x + shape.radius, "maxY": shape.y + shape.radius};
+
+    const xs = shape.points.map(p => p[0]), ys = shape.points.map(p => p[1]);
+    return {"minX": Math.min(...xs), "minY": Math.min(...ys), "maxX": Math.max(...xs), "maxY": Math.max(...ys)};
+};
+
+// returns the center of a collision shape as [x, y]
+const __cglShapeCenter = (shape) => {
+    if (shape.type === "circle") return [shape.x, shape.y];
+
+    let x = 0, y = 0;
+    shape.points.forEach(p => {x += p[0]; y += p[1]});
+    return [x / shape.points.length, y / shape.points.length];
+};
+
+// projects a collision shape onto a unit axis, returning [min, max]
+const __cglProjectShape = (shape, axis) => {
+    if (shape.type === "circle") {
+        const c = shape.x * axis[0] + shape.y * axis[1];
+        return [c - shape.radius, c + shape.radius];
+    }
+
+    let min = Infinity, max = -Infinity;
+    for (let p of shape.points) {
+        const d = p[0] * axis[0] + p[1] * axis[1];
+        min = Math.min(min, d);
+        max = Math.max(max, d);
+    }
+    return [min, max];
+};
+
+// returns the contact point of two intersecting polygons along their unit normal (pointing from a to b)
+// tolerance: how much shallower than the deepest vertex another may be and still touch, in pixels
+const __cglPolyContactPoint = (a, b, normal, tolerance=1e-3) => {
+    const dot = (p, axis) => p[0] * axis[0] + p[1] * axis[1];
+    const tangent = [-normal[1], normal[0]];
+
+    // find the vertices of each polygon which are furthest into the other
+    const supportOf = (points, axis) => {
+        const max = Math.max(...points.map(p => dot(p, axis)));
+        return points.filter(p => max - dot(p, axis) < tolerance);
+    };
+    const supportA = supportOf(a.points, normal);
+    const supportB = supportOf(b.points, [-normal[0], -normal[1]]);
+
+    // a single vertex poking into the other polygon is the contact point
+    if (supportB.length === 1) return supportB[0];
+    if (supportA.length === 1) return supportA[0];
+
+    // otherwise, two faces are touching, so use the middle of where they overlap
+    const ts = (points) => points.map(p => dot(p, tangent));
+    const minT = Math.max(Math.min(...ts(supportA)), Math.min(...ts(supportB)));
+    const maxT = Math.min(Math.max(...ts(supportA)), Math.max(...ts(supportB)));
+    const t = (minT + maxT) / 2;
+    const n = (dot(supportA[0], normal) + dot(supportB[0], normal)) / 2;
+    return [tangent[0] * t + normal[0] * n, tangent[1] * t + normal[1] * n];
+};
+
+// returns the contact between two collision shapes using the separating axis theorem, or null if they don't intersect
+// the contact is {"normal": {x, y}, "depth": number, "point": {x, y}}, where the normal points from a to b
+// tolerance: passed to __cglPolyContactPoint
+const __cglCollideShapes = (a, b, tolerance=1e-3) => {
+    const centerA = __cglShapeCenter(a), centerB = __cglShapeCenter(b);
+
+    // circles only need to compare the distance between their centers
+    if (a.type === "circle" && b.type === "circle") {
+        const dx = centerB[0] - centerA[0], dy = centerB[1] - centerA[1];
+        const dist = Math.hypot(dx, dy);
+        const depth = a.radius + b.radius - dist;
+        if (depth <= 0) return null;
+
+        const normal = dist === 0 ? [0, 1] : [dx / dist, dy / dist];
+        const reach = a.radius - depth / 2;
+        return {
+            "normal": {"x": normal[0], "y": normal[1]},
+            "depth": depth,
+            "point": {"x": centerA[0] + normal[0] * reach, "y": centerA[1] + normal[1] * reach}
+        };
+    }
+
+    // test the edge normals of each polygon
+    const axes = [];
+    for (let shape of [a, b]) {
+        if (shape.type !== "poly") continue;
+
+        for (let i = 0; i < shape.points.length; i++) {
+            const p = shape.points[i], q = shape.points[(i+1) % shape.points.length];
+            const len = Math.hypot(q[0] - p[0], q[1] - p[1]);
+            if (len > 0) axes.push([(q[1] - p[1]) / len, (p[0] - q[0]) / len]);
+        }
+    }
+
+    // circles also test the axis from the polygon's nearest vertex to the circle's center
+    const circle = a.type === "circle" ? a : b.type === "circle" ? b : null;
+    if (circle !== null) {
+        const poly = circle === a ? b : a;
+        let nearest = null, nearestDist = Infinity;
+
+        for (let p of poly.points) {
+            const dist = Math.hypot(circle.x - p[0], circle.y - p[1]);
+            if (dist < nearestDist) [nearest, nearestDist] = [p, dist];
+        }
+
+        if (nearestDist > 0)
+            axes.push([(circle.x - nearest[0]) / nearestDist, (circle.y - nearest[1]) / nearestDist]);
+    }
+
+    // find the axis with the least overlap, if every axis overlaps
+    let depth = Infinity, normal = null;
+    for (let axis of axes) {
+        const [minA, maxA] = __cglProjectShape(a, axis);
+        const [minB, maxB] = __cglProjectShape(b, axis);
+        const overlap = Math.min(maxA - minB, maxB - minA);
+
+        if (overlap <= 0) return null; // found a separating axis
+        if (overlap < depth) [depth, normal] = [overlap, axis];
+    }
+
+    // point the normal from a to b
+    if ((centerB[0] - centerA[0]) * normal[0] + (centerB[1] - centerA[1]) * normal[1] < 0)
+        normal = [-normal[0], -normal[1]];
+
+    let point;
+    if (b.type === "circle")
+        point = [b.x - normal[0] * b.radius, b.y - normal[1] * b.radius];
+    else if (a.type === "circle")
+        point = [a.x + normal[0] * a.radius, a.y + normal[1] * a.radius];
+    else
+        point = __cglPolyContactPoint(a, b, normal, tolerance);
+
+    return {"normal": {"x": normal[0], "y": normal[1]}, "depth": depth, "point": {"x": point[0], "y": point[1]}};
+};
+
+// returns the moment of inertia of a collision shape with the given mass, about its center
+const __cglShapeInertia = (shape, mass) => {
+    if (shape.type === "circle") return mass * shape.radius ** 2 / 2;
+
+    const [cX, cY] = __cglShapeCenter(shape);
+    let numerator = 0, denominator = 0;
+
+    // sum the inertia of the triangles fanned out from the center
+    for (let i = 0; i < shape.points.length; i++) {
+        const p = shape.points[i], q = shape.points[(i+1) % shape.points.length];
+        const px = p[0] - cX, py = p[1] - cY, qx = q[0] - cX, qy = q[1] - cY;
+        const cross = Math.abs(px * qy - py * qx);
+
+        numerator += cross * (px*px + py*py + px*qx + py*qy + qx*qx + qy*qy);
+        denominator += cross;
+    }
+
+    return denominator === 0 ? 0 : mass * numerator / (6 * denominator);
+};
+
+/****************** END CGLCOLLISION HELPERS ******************/
+/****************** START CGLPHYSICSWORLD CLASS ******************/
+
+// rigid-body simulation for the children of a CGLCanvas with a bodyType, enabled by CGLCanvas.enablePhysics
+class CGLPhysicsWorld {
+    gravity; // {x, y}; acceleration applied to dynamic bodies, in px/s/s
+    iterations; // integer; number of times contacts are resolved per step, more is stabler but slower
+
+    #canvas; // the parent CGLCanvas
+    #bounds; // null for no bounds, true for the canvas' bounds, or {x, y, width, height}
+
+    static #CORRECTION_PERCENT = 0.8; // portion of the penetration which is corrected each step
+    static #CORRECTION_SLOP = 0.5; // penetration allowed without correction, in pixels, to prevent jitter
+    // how much shallower than the deepest vertex another may be and still be part of the contact, in pixels
+    // resting bodies sink and tilt by up to the slop, so a tighter tolerance finds one corner of a resting face instead of its middle,
+    // and the off-center impulses make boxes rock and creep
+    static #SUPPORT_TOLERANCE = 0.5;
+
+    constructor(canvas, options={}) {
+        this.#canvas = canvas;
+        this.gravity = {"x": options.gravity?.x ?? 0, "y": options.gravity?.y ?? -980};
+        this.iterations = options.iterations ?? 4;
+        this.bounds = options.bounds ?? null;
+    }
+
+    // returns the world bounds as {x, y, width, height}, or null
+    get bounds() {
+        if (this.#bounds === true)
+            return {"x": 0, "y": 0, "width": this.#canvas.width, "height": this.#canvas.height};
+        return this.#bounds === null ? null : {...this.#bounds};
+    }
+    set bounds(b) {
+        if (b !== null && b !== true && (b.constructor !== Object || [b.x, b.y, b.width, b.height].some(n => n?.constructor !== Number)))
+            throw new CGLException("Invalid physics bounds: expected null, true or {x, y, width, height}.");
+        this.#bounds = b === null || b === true ? b : {"x": b.x, "y": b.y, "width": b.width, "height": b.height};
+    }
+
+    // simulates the bodies among the given CGLObjects for dt seconds
+    __step(children, dt) {
+        // (groups and their children aren't simulated)
+        const bodies = children.filter(child => child.bodyType !== null && child.isVisible && !(child instanceof CGLGroup)).map(child => this.#createBody(child));
+
+        // apply gravity
+        for (let body of bodies) {
+            if (body.child.bodyType !== "dynamic") continue;
+            body.velocity[0] += this.gravity.x * dt;
+            body.velocity[1] += this.gravity.y * dt;
+        }
+
+        // find the contacts between each pair of bodies where at least one is dynamic
+        const contacts = [];
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i+1; j < bodies.length; j++) {
+                const a = bodies[i], b = bodies[j];
+                if (a.invMass === 0 && b.invMass === 0) continue;
+                if (!a.child.canCollideWith(b.child)) continue;
+                if (a.bounds.maxX < b.bounds.minX || b.bounds.maxX < a.bounds.minX || a.bounds.maxY < b.bounds.minY || b.bounds.maxY < a.bounds.minY)
+                    continue;
+
+                const contact = __cglCollideShapes(a.shape, b.shape, CGLPhysicsWorld.#SUPPORT_TOLERANCE);
+                if (contact !== null) contacts.push({"a": a, "b": b, "contact": contact});
+            }
+        }
+
+        // keep dynamic bodies inside of the world bounds
+        const bounds = this.bounds;
+        if (bounds !== null)
+            for (let body of bodies)
+                if (body.invMass > 0) contacts.push(...this.#boundsContacts(body, bounds));
+
+        // resolve velocities, then push bodies apart
+        for (let i = 0; i < this.iterations; i++)
+            for (let {a, b, contact} of contacts)
+                this.#resolveVelocity(a, b, contact);
+
+        for (let {a, b, contact} of contacts)
+            this.#correctPosition(a, b, contact);
+
+        // write the new velocities back to the bodies
+        for (let body of bodies) {
+            if (body.invMass === 0) continue;
+            body.child.velocity.x = body.velocity[0];
+            body.child.velocity.y = body.velocity[1];
+            body.child.angularVelocity = -body.omega * 180 / Math.PI; // back to clockwise degrees
+        }
+    }
+
+    // creates the simulation state of a CGLObject for this step
+    #createBody(child) {
+        const shape = child.__getCollisionShape();
+        const isDynamic = child.bodyType === "dynamic";
+        const isStatic = child.bodyType === "static";
+        const inertia = isDynamic ? __cglShapeInertia(shape, child.mass) : 0;
+
+        return {
+            "child": child,
+            "shape": shape,
+            "bounds": __cglShapeBounds(shape),
+            "center": __cglShapeCenter(shape),
+            "invMass": isDynamic ? 1 / child.mass : 0,
+            "invInertia": inertia > 0 ? 1 / inertia : 0,
+            "velocity": isStatic ? [0, 0] : [child.velocity.x, child.velocity.y],
+            "omega": isStatic ? 0 : -child.angularVelocity * Math.PI / 180, // counter-clockwise radians/s
+            "restitution": child.restitution,
+            "friction": child.friction
+        };
+    }
+
+    // returns contacts pushing a body back inside of the world bounds, treating each edge as an immovable wall
+    #boundsContacts(body, bounds) {
+        const contacts = [];
+        const edges = [
+            {"normal": [1, 0], "depth": bounds.x - body.bounds.minX},
+            {"normal": [-1, 0], "depth": body.bounds.maxX - (bounds.x + bounds.width)},
+            {"normal": [0, 1], "depth": bounds.y - body.bounds.minY},
+            {"normal": [0, -1], "depth": body.bounds.maxY - (bounds.y + bounds.height)}
+        ];
+
+        for (let {normal, depth} of edges) {
+            if (depth <= 0) continue;
+
+            // the contact is the part of the body furthest into the wall
+            let point;
+            if (body.shape.type === "circle") {
+                point = [body.shape.x - normal[0] * body.shape.radius, body.shape.y - normal[1] * body.shape.radius];
+            } else {
+                const dot = (p) => -(p[0] * normal[0] + p[1] * normal[1]);
+                const max = Math.max(...body.shape.points.map(dot));
+                const support = body.shape.points.filter(p => max - dot(p) < CGLPhysicsWorld.#SUPPORT_TOLERANCE);
+                point = [0, 1].map(k => support.reduce((sum, p) => sum + p[k], 0) / support.length);
+            }
+
+            const wall = {"child": null, "center": point, "invMass": 0, "invInertia": 0, "velocity": [0, 0], "omega": 0, "restitution": 0, "friction": body.friction};
+            contacts.push({"a": wall, "b": body, "contact": {"normal": {"x": normal[0], "y": normal[1]}, "depth": depth, "point": {"x": point[0], "y": point[1]}}});
+        }
+
+        return contacts;
+    }
+
+    // applies the collision and friction impulses between two bodies, where the contact normal points from a to b
+    #resolveVelocity(a, b, contact) {
+        const cross = (u, v) => u[0] * v[1] - u[1] * v[0];
+        const n = [contact.normal.x, contact.normal.y];
+        const rA = [contact.point.x - a.center[0], contact.point.y - a.center[1]];
+        const rB = [contact.point.x - b.center[0], contact.point.y - b.center[1]];
+
+        // velocity of b relative to a at the contact point
+        const relativeVelocity = () => [
+            b.velocity[0] - b.omega * rB[1] - a.velocity[0] + a.omega * rA[1],
+            b.velocity[1] + b.omega * rB[0] - a.velocity[1] - a.omega * rA[0]
+        ];
+        const applyImpulse = (impulse) => {
+            a.velocity[0] -= impulse[0] * a.invMass;
+            a.velocity[1] -= impulse[1] * a.invMass;
+            a.omega -= cross(rA, impulse) * a.invInertia;
+            b.velocity[0] += impulse[0] * b.invMass;
+            b.velocity[1] += impulse[1] * b.invMass;
+            b.omega += cross(rB, impulse) * b.invInertia;
+        };
+        const effectiveMass = (axis) => a.invMass + b.invMass + cross(rA, axis) ** 2 * a.invInertia + cross(rB, axis) ** 2 * b.invInertia;
+
+        // don't resolve bodies which are already separating
+        let rv = relativeVelocity();
+        const normalVelocity = rv[0] * n[0] + rv[1] * n[1];
+        if (normalVelocity > 0) return;
+
+        const normalMass = effectiveMass(n);
+        if (normalMass === 0) return;
+
+        const restitution = Math.max(a.restitution, b.restitution);
+        const j = -(1 + restitution) * normalVelocity / normalMass;
+        applyImpulse([n[0] * j, n[1] * j]);
+
+        // apply friction along the contact tangent, limited by the normal impulse (Coulomb's law)
+        rv = relativeVelocity();
+        const tangentVelocity = rv[0] * -n[1] + rv[1] * n[0];
+        const t = [-n[1], n[0]];
+        const tangentMass = effectiveMass(t);
+        if (Math.abs(tangentVelocity) < 1e-9 || tangentMass === 0) return;
+
+        const mu = Math.sqrt(a.friction * b.friction);
+        const jt = Math.max(-j * mu, Math.min(j * mu, -tangentVelocity / tangentMass));
+        applyImpulse([t[0] * jt, t[1] * jt]);
+    }
+
+    // pushes two intersecting bodies apart in proportion to their inverse masses
+    #correctPosition(a, b, contact) {
+        const totalInvMass = a.invMass + b.invMass;
+        if (totalInvMass === 0) return;
+
+        const correction = Math.max(contact.depth - CGLPhysicsWorld.#CORRECTION_SLOP, 0) / totalInvMass * CGLPhysicsWorld.#CORRECTION_PERCENT;
+        if (a.child !== null && a.invMass > 0) {
+            a.child.x -= contact.normal.x * correction * a.invMass;
+            a.child.y -= contact.normal.y * correction * a.invMass;
+        }
+        if (b.child !== null && b.invMass > 0) {
+            b.child.x += contact.normal.x * correction * b.invMass;
+            b.child.y += contact.normal.y * correction * b.invMass;
+        }
+    }
+}
+
+/****************** END CGLPHYSICSWORLD CLASS ******************/
+/****************** START CGLTWEEN CLASSES ******************/
+
+// standard easing curves, each mapping progress from 0 to 1 onto eased progress
+const CGLEasing = (() => {
+    const bounceOut = (t) => {
+        if (t < 1/2.75) return 7.5625 * t * t;
+        if (t < 2/2.75) return 7.5625 * (t -= 1.5/2.75) * t + 0.75;
+        if (t < 2.5/2.75) return 7.5625 * (t -= 2.25/2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625/2.75) * t + 0.984375;
+    };
+
+    // builds the in, out and in-out variants of an ease-in curve
+    const variants = (name, easeIn) => ({
+        ["easeIn" + name]: easeIn,
+        ["easeOut" + name]: (t) => 1 - easeIn(1 - t),
+        ["easeInOut" + name]: (t) => t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2
+    });
+
+    return Object.freeze({
+        "linear": (t) => t,
+        ...variants("Quad", (t) => t ** 2),
+        ...variants("Cubic", (t) => t ** 3),
+        ...variants("Quart", (t) => t ** 4),
+        ...variants("Quint", (t) => t ** 5),
+        ...variants("Sine", (t) => 1 - Math.cos(t * Math.PI / 2)),
+        ...variants("Expo", (t) => t === 0 ? 0 : 2 ** (10 * t - 10)),
+        ...variants("Circ", (t) => 1 - Math.sqrt(1 - t * t)),
+        ...variants("Back", (t) => 2.70158 * t ** 3 - 1.70158 * t ** 2),
+        ...variants("Elastic", (t) => t === 0 || t === 1 ? t : -(2 ** (10 * t - 10)) * Math.sin((t * 10 - 10.75) * 2 * Math.PI / 3)),
+        ...variants("Bounce", (t) => 1 - bounceOut(1 - t))
+    });
+})();
+
+// shared context used to resolve named CSS colors, created when first needed
+let __cglColorCtx = null;
+
+// parses a CSS color string into [r, g, b, a] (0-255 and 0-1), or returns null if it isn't a color
+const __cglParseColor = (color) => {
+    if (color === null || color.constructor !== String) return null;
+    color = color.trim().toLowerCase();
+
+    if (color === "transparent") return [0, 0, 0, 0];
+
+    // #rgb, #rgba, #rrggbb and #rrggbbaa
+    let match = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (match) {
+        let hex = match[1];
+        if (hex.length <= 4) hex = [...hex].map(c => c + c).join("");
+        const channels = hex.match(/../g).map(h => parseInt(h, 16));
+        return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+    }
+
+    // rgb(), rgba(), hsl() and hsla() with comma or space separated arguments
+    match = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (match) {
+        const args = match[2].split(/[\s,\/]+/).filter(a => a !== "");
+        if (args.length < 3) return null;
+
+        const alpha = args.length > 3 ? (args[3].endsWith("%") ? parseFloat(args[3]) / 100 : parseFloat(args[3])) : 1;
+        if (match[1].startsWith("rgb")) {
+            const rgb = args.slice(0, 3).map(a => a.endsWith("%") ? parseFloat(a) * 2.55 : parseFloat(a));
+            return [...rgb, alpha];
+        }
+
+        // convert hsl to rgb
+        const h = parseFloat(args[0]), sat = parseFloat(args[1]) / 100, light = parseFloat(args[2]) / 100;
+        const k = (n) => (n + h / 30) % 12;
+        const f = (n) => light - sat * Math.min(light, 1 - light) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+        return [f(0) * 255, f(8) * 255, f(4) * 255, alpha];
+    }
+
+    // let the browser resolve named colors, when there is one
+    if (__cglColorCtx === null)
+        __cglColorCtx = __cglCreateSurface()?.getContext("2d") ?? null;
+    if (__cglColorCtx === null || !/^[a-z]+$/.test(color)) return null;
+
+    // resolved colors are either "#rrggbb" or "rgba(...)", which are parsed above
+    __cglColorCtx.fillStyle = "#00000000";
+    __cglColorCtx.fillStyle = color;
+    const resolved = __cglColorCtx.fillStyle;
+    return /^#|^rgba\(/.test(resolved) && resolved !== "rgba(0, 0, 0, 0)" ? __cglParseColor(resolved) : null;
+};
+
+// interpolates between two parsed colors, returning a CSS rgba() string
+const __cglLerpColor = (from, to, t) => {
+    // fade from or to transparent without darkening
+    if (from[3] === 0) from = [...to.slice(0, 3), 0];
+    if (to[3] === 0) to = [...from.slice(0, 3), 0];
+
+    const [r, g, b] = [0, 1, 2].map(i => Math.round(from[i] + (to[i] - from[i]) * t));
+    const a = from[3] + (to[3] - from[3]) * t;
+    return "rgba(" + r + ", " + g + ", " + b + ", " + +a.toFixed(3) + ")";
+};
+
+// animates properties of a CGLObject over time, created by CGLObject.tween
+class CGLTween {
+    #target; // the CGLObject being animated
+    #props; // maps each property name to its end value (number or CSS color)
+    #from = null; // maps each property name to its start value, read when the tween starts
+    #duration; // in ms, how long one playthrough takes
+    #easing; // function mapping progress from 0 to 1 onto eased progress
+
+    #delay; // in ms, how long to wait before starting
+    #repeat; // number of extra playthroughs, or Infinity
+    #yoyo; // boolean; whether repeats alternate direction
+    #elapsed = 0; // in ms, game time spent in the current playthrough (or delay, while negative)
+    #iteration = 0; // the index of the current playthrough
+    #isReversed = false; // boolean; whether the tween is currently playing backwards
+    #isPaused = false;
+    #isFinished = false;
+
+    #next = []; // tweens chained to start once this one finishes
+    #finished; // promise resolved with the target object when this tween finishes or is stopped
+    #resolve;
+
+    constructor(target, props=null, duration=null, easing="linear", options={}) {
+        if (props === null || props.constructor !== Object)
+            throw new CGLException("Invalid tween properties. Expected an object of property names to end values.");
+        if (duration === null || duration.constructor !== Number || duration < 0)
+            throw new CGLException("Invalid tween duration. Duration must be a non-negative number of milliseconds.");
+        if (easing === null || (easing.constructor === String ? !(easing in CGLEasing) : typeof easing !== "function"))
+            throw new CGLException("Invalid tween easing. Expected a function or one of: " + Object.keys(CGLEasing).join(", "));
+
+        // only numbers and colors can be interpolated
+        for (let prop in props) {
+            if (!(prop in target))
+                throw new CGLException("Invalid tween property: " + target.constructor.name + " has no property \"" + prop + "\".");
+            if (props[prop]?.constructor !== Number && __cglParseColor(props[prop]) === null)
+                throw new CGLException("Invalid tween value for \"" + prop + "\": expected number or CSS color.");
+        }
+
+        this.#target = target;
+        this.#props = {...props};
+        this.#duration = duration;
+        this.#easing = easing.constructor === String ? CGLEasing[easing] : easing;
+        this.#delay = options.delay ?? 0;
+        this.#repeat = options.repeat ?? 0;
+        this.#yoyo = options.yoyo ?? false;
+        this.#elapsed = -this.#delay;
+        this.#finished = new Promise(resolve => this.#resolve = resolve);
+    }
+
+    get target() {  return this.#target;  }
+    get isPaused() {  return this.#isPaused;  }
+    get isFinished() {  return this.#isFinished;  }
+    get isReversed() {  return this.#isReversed;  }
+    get finished() {  return this.#finished;  }
+
+    // allows tweens to be awaited, resolving with the target object
+    then(onFulfilled, onRejected) {  return this.#finished.then(onFulfilled, onRejected);  }
+
+    pause() {
+        this.#isPaused = true;
+        return this;
+    }
+
+    resume() {
+        this.#isPaused = false;
+        return this;
+    }
+
+    // plays the tween in the opposite direction from its current position
+    reverse() {
+        this.#isReversed = !this.#isReversed;
+        if (this.#elapsed > 0) this.#elapsed = this.#duration - this.#elapsed;
+        return this;
+    }
+
+    // sets the number of extra playthroughs, Infinity to repeat forever
+    repeat(count=Infinity) {
+        if (count === null || count.constructor !== Number || count < 0)
+            throw new CGLException("Invalid tween repeat count: expected non-negative number.");
+        this.#repeat = count;
+        return this;
+    }
+
+    // sets whether each repeat plays in the opposite direction of the previous
+    yoyo(enabled=true) {
+        this.#yoyo = enabled;
+        return this;
+    }
+
+    // creates a tween on the same object which starts once this one finishes, returns the new tween
+    chain(props, duration, easing="linear", options={}) {
+        const next = new CGLTween(this.#target, props, duration, easing, options);
+        this.#next.push(next);
+        return next;
+    }
+
+    // stops the tween where it is, without starting chained tweens
+    stop() {
+        if (this.#isFinished) return this;
+        this.#isFinished = true;
+        this.#resolve(this.#target);
+        return this;
+    }
+
+    // advances the tween by frameGap seconds, returns any chained tweens which should start
+    __update(frameGap) {
+        if (this.#isPaused || this.#isFinished) return [];
+
+        this.#elapsed += frameGap * 1e3;
+        if (this.#elapsed < 0) return []; // still delayed
+
+        // read the start values once the delay is over
+        if (this.#from === null) {
+            this.#from = {};
+            for (let prop in this.#props) {
+                const value = this.#target[prop];
+                this.#from[prop] = this.#props[prop].constructor === Number ? value : (__cglParseColor(value) ?? [0, 0, 0, 0]);
+            }
+        }
+
+        // move onto the next playthrough, or finish
+        while (this.#elapsed >= this.#duration) {
+            if (this.#iteration >= this.#repeat) {
+                this.#apply(this.#isReversed ? 0 : 1);
+                this.#isFinished = true;
+                this.#resolve(this.#target);
+                return this.#next;
+            }
+
+            this.#iteration++;
+            this.#elapsed = this.#duration === 0 ? 0 : this.#elapsed - this.#duration;
+            if (this.#yoyo) this.#isReversed = !this.#isReversed;
+            if (this.#duration === 0) break;
+        }
+
+        const progress = this.#duration === 0 ? 1 : this.#elapsed / this.#duration;
+        this.#apply(this.#isReversed ? 1 - progress : progress);
+        return [];
+    }
+
+    // assigns each property its value at the given progress, through the target's setters
+    #apply(progress) {
+        const t = this.#easing(progress);
+
+        for (let prop in this.#props) {
+            const from = this.#from[prop], to = this.#props[prop];
+            const value = to.constructor === Number ? from + (to - from) * t : __cglLerpColor(from, __cglParseColor(to), t);
+
+            // stop rather than crash the engine loop if a setter rejects the value
+            try {
+                this.#target[prop] = value;
+            } catch (e) {
+                cglError("Tween stopped, could not set " + prop + ":", e.message);
+                return void this.stop();
+            }
+        }
+    }
+}
+
+/****************** END CGLTWEEN CLASSES ******************/
+/****************** START CGLANIMATION CLASSES ******************/
+
+// a named sequence of frames, each shown for its own frame time
+class CGLAnimation {
+    name; // string; the name of the animation
+    frames; // array of frame keys (ie. indices or names of sprite sheet frames)
+    frameTimes; // in ms; an array of numeric frame times matching the number of frames
+    mode; // "loop", "once" or "pingpong"
+
+    constructor(name, frames=null, frameTime=null, mode="loop") {
+        if (frames === null || frames.constructor !== Array || frames.length === 0)
+            throw new CGLException("Invalid frames passed to CGLAnimation \"" + name + "\". Frames must be a non-empty array.");
+        if (frameTime === null || (frameTime.constructor !== Number && frameTime.constructor !== Array))
+            throw new CGLException("Invalid frame time passed to CGLAnimation \"" + name + "\". Frame time must either be a number or an array of times for each individual frame.");
+        if (frameTime.constructor === Array && frameTime.length !== frames.length)
+            throw new CGLException("Array of frame times must match the number of frames in CGLAnimation \"" + name + "\".");
+        if (!["loop", "once", "pingpong"].includes(mode))
+            throw new CGLException("Invalid mode passed to CGLAnimation \"" + name + "\". Expected \"loop\", \"once\" or \"pingpong\", got " + mode);
+
+        const frameTimes = frameTime.constructor === Array ? [...frameTime] : frames.map(() => frameTime);
+        frameTimes.forEach(time => {
+            if (time === null || time.constructor !== Number || time <= 0)
+                throw new CGLException("Invalid frame time; expected positive number, got " + time + ".");
+        });
+
+        this.name = name;
+        this.frames = [...frames];
+        this.frameTimes = frameTimes;
+        this.mode = mode;
+    }
+}
+
+// plays CGLAnimations on the canvas clock, shared by CGLFrames and CGLSprite
+class CGLAnimator {
+    #animation = null; // the CGLAnimation being played, or null
+    #index = 0; // the index of the current frame in the animation
+    #elapsed = 0; // in ms, game time spent on the current frame
+    #direction = 1; // 1 when playing forwards, -1 when playing backwards (ping-pong)
+    #isPlaying = false;
+    #isEnded = false; // true once a "once" animation reaches its last frame
+
+    #onFrame; // callback(animation, index) for whenever the current frame changes
+    #onEnd; // callback(animation) for when a "once" animation finishes
+
+    constructor(onFrame, onEnd) {
+        this.#onFrame = onFrame;
+        this.#onEnd = onEnd;
+    }
+
+    get animation() {  return this.#animation;  }
+    get frameIndex() {  return this.#index;  }
+    get frame() {  return this.#animation?.frames[this.#index] ?? null;  }
+    get isPlaying() {  return this.#isPlaying;  }
+
+    // plays the given animation, restarting it if requested or if it already ended
+    play(animation, restart=false) {
+        if (animation !== this.#animation || restart || this.#isEnded) {
+            this.#animation = animation;
+            this.#reset();
+        }
+
+        this.#isPlaying = true;
+    }
+
+    pause() {  this.#isPlaying = false;  }
+
+    // pauses the animation and rewinds it to the first frame
+    stop() {
+        this.#isPlaying = false;
+        if (this.#animation !== null) this.#reset();
+    }
+
+    // jumps to a frame of the current animation by its index
+    gotoFrame(index) {
+        if (this.#animation === null)
+            throw new CGLException("Cannot go to frame: no animation is playing.");
+        if (index === null || index.constructor !== Number || index < 0 || index >= this.#animation.frames.length || index % 1 !== 0)
+            throw new CGLException("Invalid frame index: expected integer between 0 and " + (this.#animation.frames.length-1) + ".");
+
+        this.#index = index;
+        this.#elapsed = 0;
+        this.#isEnded = false;
+        this.#onFrame(this.#animation, index);
+    }
+
+    #reset() {
+        this.#index = 0;
+        this.#elapsed = 0;
+        this.#direction = 1;
+        this.#isEnded = false;
+        this.#onFrame(this.#animation, 0);
+    }
+
+    // advances the animation by frameGap seconds
+    __update(frameGap) {
+        if (!this.#isPlaying || this.#animation === null) return;
+
+        const {frameTimes, mode} = this.#animation;
+        const prevIndex = this.#index;
+        this.#elapsed += frameGap * 1e3;
+
+        // skip ahead to the correct frame, not just displaying the next one
+        while (this.#elapsed >= frameTimes[this.#index]) {
+            this.#elapsed -= frameTimes[this.#index];
+            let next = this.#index + this.#direction;
+
+            if (next < 0 || next >= frameTimes.length) {
+                if (mode === "once") {
+                    // hold the last frame
+                    this.#elapsed = 0;
+                    this.#isPlaying = false;
+                    this.#isEnded = true;
+                    if (this.#index !== prevIndex) this.#onFrame(this.#animation, this.#index);
+                    return void this.#onEnd(this.#animation);
+                } else if (mode === "pingpong") {
+                    this.#direction *= -1;
+                    next = frameTimes.length === 1 ? 0 : this.#index + this.#direction;
+                } else {
+                    next = 0;
+                }
+            }
+
+            this.#index = next;
+        }
+
+        if (this.#index !== prevIndex) this.#onFrame(this.#animation, this.#index);
+    }
+}
+
+/****************** END CGLANIMATION CLASSES ******************/
+/****************** START CGLASSETS CLASS ******************/
+
+// loads images ahead of time and caches them by key, so each image is only loaded once and shared between objects
+// use the global CGLAssets instance rather than creating another loader
+class CGLAssetLoader extends CGLEventTarget {
+    // null to load into an HTMLImageElement, or a function returning an image to load into where there's no DOM (ie. in a Worker or Node)
+    // images must support src, complete, naturalWidth and "load" and "error" listeners, and be drawable by the canvas' context
+    createImage = null;
+
+    #entries = new Map(); // maps asset keys to their cache entries {key, url, image, status, error, promise}
+    #urls = new Map(); // maps URLs to their cache entries, so images created from a URL reuse a preloaded asset
+
+    constructor() {
+        super(["load", "error", "progress", "complete"]);
+    }
+
+    // returns true while any image is still loading
+    get isLoading() {
+        for (let entry of this.#entries.values())
+            if (entry.status === "loading") return true;
+        return false;
+    }
+
+    // the fraction of all requested images which have finished loading (or failed), between 0 and 1
+    get progress() {
+        if (this.#entries.size === 0) return 1;
+        let settled = 0;
+        for (let entry of this.#entries.values())
+            if (entry.status !== "loading") settled++;
+        return settled / this.#entries.size;
+    }
+
+    // preloads a manifest of images, either {key: url}, [url] or [{key, url}]
+    // raises "progress" as each image settles and "complete" once all have, resolving to {loaded, failed} arrays of keys
+    load(manifest=null) {
+        if (manifest === null || (manifest.constructor !== Object && manifest.constructor !== Array))
+            throw new CGLException("Invalid asset manifest: expected {key: url} object or array of URLs.");
+
+        const pairs = manifest.constructor === Array
+            ? manifest.map(item => item?.constructor === String ? [item, item] : [item?.key, item?.url])
+            : Object.entries(manifest);
+        const entries = pairs.map(([key, url]) => this.#request(key, url));
+
+        const loaded = [], failed = [];
+        return Promise.all(entries.map(entry => entry.promise.then(() => {
+            (entry.status === "loaded" ? loaded : failed).push(entry.key);
+
+            const settled = loaded.length + failed.length;
+            this.__handleEvent("progress", null, new CGLEvent("progress", null, null, this, null,
+                {"key": entry.key, "loaded": settled, "total": entries.length, "progress": settled / entries.length}));
+        }))).then(() => {
+            this.__handleEvent("complete", null, new CGLEvent("complete", null, null, this, null, {"loaded": loaded, "failed": failed}));
+            return {"loaded": loaded, "failed": failed};
+        });
+    }
+
+    // resolves once every image requested so far has finished loading (or failed)
+    whenReady() {
+        return Promise.all([...this.#entries.values()].map(entry => entry.promise)).then(() => {
+            // wait for any images requested while waiting
+            if (this.isLoading) return this.whenReady();
+        });
+    }
+
+    // returns true if the key (or URL) has been requested
+    has(key) {  return this.#entries.has(key) || this.#urls.has(key);  }
+
+    // returns "loading", "loaded" or "error" for the key (or URL), or null if it was never requested
+    status(key) {  return this.#lookup(key)?.status ?? null;  }
+
+    // returns the shared image for an asset key, requesting it first if the key is an unknown URL
+    image(key=null) {
+        if (key === null || key.constructor !== String || key === "")
+            throw new CGLException("Invalid asset key or image URL: expected non-empty string.");
+
+        return (this.#lookup(key) ?? this.#request(key, key)).image;
+    }
+
+    // removes an image from the cache; objects already using it keep their copy
+    unload(key) {
+        const entry = this.#lookup(key);
+        if (entry === undefined) return false;
+
+        this.#entries.delete(entry.key);
+        this.#urls.delete(entry.url);
+        return true;
+    }
+
+    #lookup(key) {  return this.#entries.get(key) ?? this.#urls.get(key);  }
+
+    #createImage() {
+        if (this.createImage !== null) return this.createImage();
+        if (typeof Image === "undefined")
+            throw new CGLException("Cannot load images without a DOM (ie. in a Worker or Node). Set CGLAssets.createImage to a function returning an image to load into.");
+
+        return new Image();
+    }
+
+    // starts loading an image, or returns its existing entry
+    #request(key, url) {
+        if (key === null || key?.constructor !== String || key === "")
+            throw new CGLException("Invalid asset key: expected non-empty string, got " + key);
+        if (url === null || url?.constructor !== String || url === "")
+            throw new CGLException("Invalid URL for asset \"" + key + "\": expected non-empty string, got " + url);
+
+        const existing = this.#entries.get(key);
+        if (existing !== undefined) {
+            if (existing.url !== url)
+                throw new CGLException("Asset key \"" + key + "\" is already used for " + existing.url);
+            return existing;
+        }
+
+        // an image loaded under a different key (or as a plain URL) is shared rather than loaded twice
+        const image = this.#urls.get(url)?.image ?? this.#createImage();
+        const entry = {"key": key, "url": url, "image": image, "status": "loading", "error": null, "promise": null};
+
+        entry.promise = new Promise(resolve => {
+            const onLoad = () => {
+                entry.status = "loaded";
+                this.__handleEvent("load", null, new CGLEvent("load", null, null, this, null, {"key": key, "url": url, "image": image}));
+                resolve(entry);
+            };
+            const onError = (e) => {
+                entry.status = "error";
+                entry.error = e;
+                cglError("Failed to load image asset \"" + key + "\" from " + url);
+                this.__handleEvent("error", null, new CGLEvent("error", null, null, this, e, {"key": key, "url": url}));
+                resolve(entry);
+            };
+
+            // an image shared with an existing entry may have already settled
+            const shared = this.#urls.get(url);
+            if (shared !== undefined)
+                return void shared.promise.then(() => shared.status === "loaded" ? onLoad() : onError(shared.error));
+
+            image.addEventListener("load", onLoad, {"once": true});
+            image.addEventListener("error", onError, {"once": true});
+            image.src = url;
+        });
+
+        this.#entries.set(key, entry);
+        this.#urls.set(url, entry);
+        return entry;
+    }
+}
+
+const CGLAssets = new CGLAssetLoader();
+
+/****************** END CGLASSETS CLASS ******************/
+/****************** START CGLSPRITESHEET CLASS ******************/
+
+// a single image containing many frames, each a rectangle of the image (in pixels, from the top-left)
+class CGLSpriteSheet {
+    #src; // the path to the sheet image
+    #img; // the HTMLImageElement containing the sheet image
+    #frames; // array of frames as {name, x, y, width, height}
+    #frameNames = new Map(); // maps the name of each named frame to its index
+    animations = {}; // animations defined by an atlas, as {name: {frames, frameTime, mode}}
+
+    // imagePath: an image URL or CGLAssets key
+    // frames: array of {x, y, width, height} with an optional name
+    constructor(imagePath=null, frames=null) {
+        if (imagePath === null || imagePath.constructor !== String || imagePath === "")
+            throw new CGLException("Invalid image URL passed to CGLSpriteSheet constructor. Image path must be a non-empty string.");
+        if (frames === null || frames.constructor !== Array || frames.length === 0)
+            throw new CGLException("Invalid frames passed to CGLSpriteSheet constructor. Frames must be a non-empty array of {x, y, width, height}.");
+
+        this.#frames = frames.map((frame, i) => {
+            if ([frame.x, frame.y, frame.width, frame.height].some(n => n === null || n?.constructor !== Number))
+                throw new CGLException("Invalid sprite sheet frame at index " + i + ". Expected {x, y, width, height}.");
+
+            if (frame.name !== undefined) this.#frameNames.set(frame.name, i);
+            return {"name": frame.name ?? null, "x": frame.x, "y": frame.y, "width": frame.width, "height": frame.height};
+        });
+
+        this.#src = imagePath;
+        this.#img = CGLAssets.image(imagePath);
+    }
+
+    // creates a sprite sheet from a grid of equally-sized frames, numbered left-to-right then top-to-bottom
+    // options: {columns, rows, count (to skip trailing empty cells), margin (around the grid), spacing (between cells)}
+    static grid(imagePath, frameWidth=null, frameHeight=null, options={}) {
+        if (frameWidth === null || frameWidth.constructor !== Number || frameWidth <= 0)
+            throw new CGLException("Invalid frame width passed to CGLSpriteSheet.grid. Width must be a positive number.");
+        if (frameHeight === null || frameHeight.constructor !== Number || frameHeight <= 0)
+            throw new CGLException("Invalid frame height passed to CGLSpriteSheet.grid. Height must be a positive number.");
+        if (options.columns?.constructor !== Number || options.rows?.constructor !== Number)
+            throw new CGLException("Invalid grid passed to CGLSpriteSheet.grid. Options must include the number of columns and rows.");
+
+        const margin = options.margin ?? 0, spacing = options.spacing ?? 0;
+        const count = Math.min(options.count ?? Infinity, options.columns * options.rows);
+        const frames = [];
+
+        for (let i = 0; i < count; i++) {
+            const column = i % options.columns, row = Math.floor(i / options.columns);
+            frames.push({"x": margin + column * (frameWidth + spacing), "y": margin + row * (frameHeight + spacing), "width": frameWidth, "height": frameHeight});
+        }
+
+        return new CGLSpriteSheet(imagePath, frames);
+    }
+
+    // creates a sprite sheet from a JSON atlas in the hash or array format exported by TexturePacker and Aseprite
+    // Aseprite frame tags are added to the sheet's animations
+    static fromAtlas(imagePath, atlas=null) {
+        if (atlas === null || atlas.constructor !== Object)
+            throw new CGLException("Invalid atlas passed to CGLSpriteSheet.fromAtlas. Expected a parsed JSON object.");
+
+        // accept {frames: [...]}, {frames: {name: ...}} or just {name: ...}
+        let entries;
+        if (atlas.frames?.constructor === Array)
+            entries = atlas.frames.map((frame, i) => [frame.filename ?? frame.name ?? String(i), frame]);
+        else
+            entries = Object.entries(atlas.frames ?? atlas);
+
+        const frames = entries.map(([name, frame]) => {
+            const rect = frame.frame ?? frame;
+            return {"name": name, "x": rect.x, "y": rect.y, "width": rect.w ?? rect.width, "height": rect.h ?? rect.height};
+        });
+
+        const sheet = new CGLSpriteSheet(imagePath, frames);
+
+        for (let tag of atlas.meta?.frameTags ?? []) {
+            const indices = [];
+            for (let i = tag.from; i <= tag.to; i++) indices.push(i);
+            if (tag.direction === "reverse") indices.reverse();
+
+            sheet.animations[tag.name] = {
+                "frames": indices,
+                "frameTime": indices.map(i => entries[i][1].duration ?? 100),
+                "mode": tag.direction === "pingpong" ? "pingpong" : "loop"
+            };
+        }
+
+        return sheet;
+    }
+
+    get src() {  return this.#src;  }
+    get image() {  return this.#img;  }
+    get frameCount() {  return this.#frames.length;  }
+
+    // shallow copy frames on return to prevent reference modification
+    get frames() {  return this.#frames.map(frame => ({...frame}));  }
+
+    // returns true if the sheet has a frame with the given index or name
+    hasFrame(key) {
+        return key?.constructor === Number ? key >= 0 && key < this.#frames.length && key % 1 === 0 : this.#frameNames.has(key);
+    }
+
+    // returns a frame by its index or name as {name, x, y, width, height}
+    getFrame(key) {
+        if (!this.hasFrame(key))
+            throw new CGLException("Invalid sprite sheet frame: " + key);
+
+        return {...this.#frames[key?.constructor === Number ? key : this.#frameNames.get(key)]};
+    }
+}
+
+/****************** END CGLSPRITESHEET CLASS ******************/
+/****************** START CGLPATH HELPERS ******************/
+
+// path commands are arrays of absolute coordinates:
+// ["M", x, y], ["L", x, y], ["Q", cx, cy, x, y], ["C", c1x, c1y, c2x, c2y, x, y] or ["Z"]
+const __cglPathArgCounts = {"M": 2, "L": 2, "Q": 4, "C": 6, "Z": 0};
+
+// converts an SVG elliptical arc to cubic Bézier commands (see the SVG spec's implementation notes, F.6.5)
+const __cglArcToCubics = (x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) => {
+    if (x1 === x2 && y1 === y2) return [];
+
+    rx = Math.abs(rx), ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [["L", x2, y2]];
+
+    const sin = Math.sin(angle * Math.PI/180), cos = Math.cos(angle * Math.PI/180);
+
+    // transform the start point into the ellipse's unrotated space
+    const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+    const x1p = cos*dx + sin*dy, y1p = -sin*dx + cos*dy;
+
+    // scale up radii which are too small to reach the end point
+    const lambda = x1p**2 / rx**2 + y1p**2 / ry**2;
+    if (lambda > 1) rx *= Math.sqrt(lambda), ry *= Math.sqrt(lambda);
+
+    // find the center of the ellipse
+    const num = rx**2 * ry**2 - rx**2 * y1p**2 - ry**2 * x1p**2;
+    const den = rx**2 * y1p**2 + ry**2 * x1p**2;
+    const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = coef * rx * y1p / ry, cyp = -coef * ry * x1p / rx;
+    const cx = cos*cxp - sin*cyp + (x1 + x2) / 2, cy = sin*cxp + cos*cyp + (y1 + y2) / 2;
+
+    // find the start angle and the angle swept
+    const angleBetween = (ux, uy, vx, vy) => Math.atan2(ux*vy - uy*vx, ux*vx + uy*vy);
+    const theta = angleBetween(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angleBetween((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    // approximate each quarter (or less) of the arc with a cubic
+    const count = Math.ceil(Math.abs(delta) / (Math.PI/2) - 1e-9);
+    const step = delta / count, alpha = 4/3 * Math.tan(step / 4);
+    const point = (t) => [cx + rx*Math.cos(t)*cos - ry*Math.sin(t)*sin, cy + rx*Math.cos(t)*sin + ry*Math.sin(t)*cos];
+    const tangent = (t) => [-rx*Math.sin(t)*cos - ry*Math.cos(t)*sin, -rx*Math.sin(t)*sin + ry*Math.cos(t)*cos];
+
+    const cubics = [];
+    for (let i = 0; i < count; i++) {
+        const t1 = theta + i * step, t2 = t1 + step;
+        const [p1x, p1y] = point(t1), [p2x, p2y] = point(t2);
+        const [d1x, d1y] = tangent(t1), [d2x, d2y] = tangent(t2);
+        cubics.push(["C", p1x + alpha*d1x, p1y + alpha*d1y, p2x - alpha*d2x, p2y - alpha*d2y, p2x, p2y]);
+    }
+
+    // land exactly on the end point
+    cubics[cubics.length-1][5] = x2;
+    cubics[cubics.length-1][6] = y2;
+    return cubics;
+};
+
+// parses SVG path data (ie. "M 0 0 C 10 20, 30 20, 40 0") into absolute path commands
+// coordinates are used as-is, so y points up like everything else on CGLCanvas
+const __cglParseSVGPath = (d) => {
+    let pos = 0;
+    const skip = () => {  while (pos < d.length && /[\s,]/.test(d[pos])) pos++;  };
+    const hasNumber = () => {  skip(); return pos < d.length && /[-+.\d]/.test(d[pos]);  };
+    const number = () => {
+        skip();
+        const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(pos));
+        if (match === null)
+            throw new CGLException("Invalid SVG path data: expected number at position " + pos + ".");
+        pos += match[0].length;
+        return parseFloat(match[0]);
+    };
+    // arc flags may be written without separators, ie. "a5 5 0 011 1"
+    const flag = () => {
+        skip();
+        if (d[pos] !== "0" && d[pos] !== "1")
+            throw new CGLException("Invalid SVG path data: expected arc flag at position " + pos + ".");
+        return d[pos++] === "1";
+    };
+
+    const commands = [];
+    let x = 0, y = 0, startX = 0, startY = 0; // the current point and the start of the subpath
+    let type = null, lastControl = null; // the control point of the previous curve, reflected by S and T
+
+    skip();
+    while (pos < d.length) {
+        if (/[a-z]/i.test(d[pos])) {
+            type = d[pos++];
+        } else if (type === null || type === "Z" || type === "z" || !hasNumber()) {
+            throw new CGLException("Invalid SVG path data at position " + pos + ".");
+        }
+
+        const command = type.toUpperCase();
+        const ox = type === command ? 0 : x, oy = type === command ? 0 : y; // offset of relative commands
+        let control = null;
+
+        if (command === "M") {
+            x = ox + number(), y = oy + number();
+            startX = x, startY = y;
+            commands.push(["M", x, y]);
+            type = type === "M" ? "L" : "l"; // further coordinate pairs are lines
+        } else if (command === "L") {
+            x = ox + number(), y = oy + number();
+            commands.push(["L", x, y]);
+        } else if (command === "H") {
+            x = ox + number();
+            commands.push(["L", x, y]);
+        } else if (command === "V") {
+            y = oy + number();
+            commands.push(["L", x, y]);
+        } else if (command === "C" || command === "S") {
+            // S reflects the second control point of the previous cubic
+            const [c1x, c1y] = command === "C" ? [ox + number(), oy + number()]
+                : lastControl?.type === "C" ? [2*x - lastControl.x, 2*y - lastControl.y] : [x, y];
+            const c2x = ox + number(), c2y = oy + number();
+            x = ox + number(), y = oy + number();
+            commands.push(["C", c1x, c1y, c2x, c2y, x, y]);
+            control = {"type": "C", "x": c2x, "y": c2y};
+        } else if (command === "Q" || command === "T") {
+            // T reflects the control point of the previous quadratic
+            const [cx, cy] = command === "Q" ? [ox + number(), oy + number()]
+                : lastControl?.type === "Q" ? [2*x - lastControl.x, 2*y - lastControl.y] : [x, y];
+            x = ox + number(), y = oy + number();
+            commands.push(["Q", cx, cy, x, y]);
+            control = {"type": "Q", "x": cx, "y": cy};
+        } else if (command === "A") {
+            const rx = number(), ry = number(), angle = number(), largeArc = flag(), sweep = flag();
+            const endX = ox + number(), endY = oy + number();
+            commands.push(...__cglArcToCubics(x, y, rx, ry, angle, largeArc, sweep, endX, endY));
+            x = endX, y = endY;
+        } else if (command === "Z") {
+            commands.push(["Z"]);
+            x = startX, y = startY;
+        } else {
+            throw new CGLException("Invalid SVG path command: " + type);
+        }
+
+        lastControl = control;
+        skip();
+    }
+
+    return commands;
+};
+
+// returns the distance from point (x, y) to the line segment from a to b
+const __cglDistToSegment = (x, y, a, b) => {
+    const dx = b[0] - a[0], dy = b[1] - a[1];
+    const lengthSq = dx*dx + dy*dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - a[0])*dx + (y - a[1])*dy) / lengthSq));
+    return Math.hypot(x - (a[0] + t*dx), y - (a[1] + t*dy));
+};
+
+/****************** END CGLPATH HELPERS ******************/
+/****************** START CGLSTYLE CLASSES ******************/
+
+// abstract class for gradients used as a fillColor or outlineColor, defined in the local coordinates of the object
+class CGLGradient {
+    #stops = []; // array of color stops as [offset, color]
+
+    constructor(stops=[]) {
+        if (this.constructor === CGLGradient)
+            throw new CGLException("Cannot directly instantiate CGLGradient class, only subclasses.");
+        if (stops === null || stops.constructor !== Array)
+            throw new CGLException("Invalid color stops passed to " + this.constructor.name + " constructor. Expected array of [offset, color].");
+
+        stops.forEach(([offset, color]) => this.addColorStop(offset, color));
+    }
+
+    get stops() {  return this.#stops.map(stop => [...stop]);  }
+
+    // adds a color at an offset between 0 and 1 along the gradient, returns the gradient for chaining
+    addColorStop(offset=null, color=null) {
+        if (offset === null || offset.constructor !== Number || offset < 0 || offset > 1)
+            throw new CGLException("Invalid gradient color stop offset: expected number between 0 and 1.");
+        if (color === null || color.constructor !== String)
+            throw new CGLException("Invalid gradient color stop color: expected CSS color string.");
+
+        this.#stops.push([offset, color]);
+        return this;
+    }
+
+    // creates the CanvasGradient, where yDown mirrors the gradient for contexts which draw with y pointing down (ie. CGLText)
+    __create(ctx, yDown=false) {
+        const gradient = this.__createGradient(ctx, yDown ? -1 : 1);
+        this.#stops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+        return gradient;
+    }
+
+    // template method returning an empty CanvasGradient, where ySign is -1 when y points down
+    __createGradient(ctx, ySign) {
+        throw new CGLException("Cannot directly call createGradient() on CGLGradient, only subclasses.");
+    }
+}
+
+// gradient along the line from x0, y0 to x1, y1
+class CGLLinearGradient extends CGLGradient {
+    x0; y0; x1; y1;
+
+    constructor(x0=0, y0=0, x1=0, y1=0, stops=[]) {
+        super(stops);
+        Object.assign(this, {"x0": x0, "y0": y0, "x1": x1, "y1": y1});
+    }
+
+    __createGradient(ctx, ySign) {
+        return ctx.createLinearGradient(this.x0, ySign * this.y0, this.x1, ySign * this.y1);
+    }
+}
+
+// gradient between the circle at x0, y0 with radius r0 and the circle at x1, y1 with radius r1
+class CGLRadialGradient extends CGLGradient {
+    x0; y0; r0; x1; y1; r1;
+
+    constructor(x0=0, y0=0, r0=0, x1=0, y1=0, r1=0, stops=[]) {
+        super(stops);
+        Object.assign(this, {"x0": x0, "y0": y0, "r0": r0, "x1": x1, "y1": y1, "r1": r1});
+    }
+
+    __createGradient(ctx, ySign) {
+        return ctx.createRadialGradient(this.x0, ySign * this.y0, this.r0, this.x1, ySign * this.y1, this.r1);
+    }
+}
+
+// gradient sweeping around x, y, starting at angle (in degrees, clockwise from the positive x-axis)
+class CGLConicGradient extends CGLGradient {
+    angle; x; y;
+
+    constructor(angle=0, x=0, y=0, stops=[]) {
+        super(stops);
+        Object.assign(this, {"angle": angle, "x": x, "y": y});
+    }
+
+    __createGradient(ctx, ySign) {
+        return ctx.createConicGradient(-ySign * this.angle * Math.PI / 180, this.x, ySign * this.y);
+    }
+}
+
+// repeating image used as a fillColor or outlineColor, anchored to the object's local origin
+class CGLPattern {
+    #src; // the CGLAssets key or path of the image
+    #img; // the HTMLImageElement, shared through CGLAssets
+    repetition; // "repeat", "repeat-x", "repeat-y" or "no-repeat"
+
+    constructor(imagePath=null, repetition="repeat") {
+        if (imagePath === null || imagePath.constructor !== String || imagePath === "")
+            throw new CGLException("Invalid image URL passed to CGLPattern constructor. Image path must be a non-empty string.");
+        if (!["repeat", "repeat-x", "repeat-y", "no-repeat"].includes(repetition))
+            throw new CGLException("Invalid repetition passed to CGLPattern constructor, got " + repetition);
+
+        this.#src = imagePath;
+        this.#img = CGLAssets.image(imagePath);
+        this.repetition = repetition;
+    }
+
+    get src() {  return this.#src;  }
+
+    // creates the CanvasPattern, or "transparent" until the image has loaded
+    __create(ctx, yDown=false) {
+        if (!this.#img.complete || this.#img.naturalWidth === 0) return "transparent";
+
+        const pattern = ctx.createPattern(this.#img, this.repetition);
+
+        // un-flip the image so it isn't upside down on the bottom-left canvas
+        if (!yDown && typeof DOMMatrix !== "undefined") pattern.setTransform(new DOMMatrix().scale(1, -1));
+        return pattern;
+    }
+}
+
+// resolves a fillColor or outlineColor to a value for ctx.fillStyle or ctx.strokeStyle
+const __cglResolveStyle = (ctx, style, yDown=false) =>
+    style instanceof CGLGradient || style instanceof CGLPattern ? style.__create(ctx, yDown) : style;
+
+/****************** END CGLSTYLE CLASSES ******************/
+/****************** START CGLOBJECT CLASS ******************/
+
+// abstract class for all objects drawn on CGLCanvas
+class CGLObject extends CGLEventTarget {
+    fillColor; // fill color of polygon, CGLGradient, CGLPattern or "transparent"
+    outlineColor; // outline color of polygon, CGLGradient, CGLPattern or "transparent"
+    #outlineThickness; // integer; outline thickness of polygon or 1, in pixels
+    outlineDash; // array of alternating dash and gap lengths in pixels, ie. [10, 5], or [] for a solid outline
+    outlineDashOffset; // number; how far into the dash pattern the outline starts, in pixels
+    opacity; // number from 0 to 1; multiplied by the opacity of any parent group
+    shadow; // null, or the drop shadow as {color, blur, offsetX, offsetY} (offsets in pixels, with y pointing up)
+    blendMode; // string; the globalCompositeOperation used to draw the object, ie. "multiply" or "screen"
+    #isVisible; // boolean, whether the CGLObject is culled at render
+    ignoreClicks; // boolean, whether to ignore clicks on this object or not
+    cursor; // string; cursor shown when the CGLObject is hovered over
+    layer; // string; the name of the CGLLayer the object is drawn on, when it's a child of a canvas
+    collisionLayer; // integer bitmask; the collision layers this CGLObject is on, or 0 to never collide
+    collisionMask; // integer bitmask; the collision layers this CGLObject collides with
+
+    id; // the ID of this particular CGLObject
+    #canvas = null; // the parent canvas
+    #parent = null; // the parent CGLGroup
+    #tweens = []; // the CGLTweens currently animating this object
+
+    // physical properties (the transform and anything else which changes the bounds re-files the object in its canvas' spatial index)
+    #x; // x-position of the CGLObject
+    #y; // y-position of the CGLObject
+    velocity = {"x": 0, "y": 0} // the x and y velocities of the CGLObject, in px/s
+    acceleration = {"x": 0, "y": 0} // the x and y accelerations of the CGLObject, in px/s/s
+    
+    #rotation = 0; // the rotation of the object, in degrees
+    #scaleX; // number; scale along the object's local x-axis
+    #scaleY; // number; scale along the object's local y-axis
+    #flipX; // boolean; whether the object is mirrored horizontally
+    #flipY; // boolean; whether the object is mirrored vertically
+    #pivot; // null for the shape's natural center, or the point {x, y} (local coordinates) the object rotates, scales and flips about
+    angularVelocity = 0; // the angular velocity of the object, in degrees/s
+    angularAcceleration = 0; // the angular acceleration of the object, in degrees/s/s
+
+    // rigid-body properties, only used when the parent canvas has physics enabled
+    bodyType; // null to ignore physics, or "dynamic", "static" or "kinematic"
+    mass; // positive number; the mass of the object when it's a dynamic body
+    restitution; // number from 0 to 1; how much the object bounces off of other bodies
+    friction; // non-negative number; how much the object resists sliding along other bodies
+
+    constructor(x, y, options={}) {
+        super(["click", "hover", "mousedown", "mouseup", "mouseenter", "mouseleave", "dragstart", "drag", "dragend", "pointercancel",
+               "collisionstart", "collision", "collisionend"]);
+
+        if (this.constructor === CGLObject)
+            throw new CGLException("Cannot directly instantiate CGLObject class, only subclasses.");
+        
+        // check coordinates
+        if (x === null || x.constructor !== Number)
+            throw new CGLException("Invalid x-coordinate passed to CGLObject constructor. Expected number, got " + (x === null ? "null" : x.constructor.name));
+        if (y === null || y.constructor !== Number)
+            throw new CGLException("Invalid y-coordinate passed to CGLObject constructor. Expected number, got " + (y === null ? "null" : y.constructor.name));
+
+        // assign parameters
+        this.id = __cglRandomID();
+        this.x = x;
+        this.y = y;
+
+        this.fillColor = options.fillColor ?? "transparent";
+        this.outlineThickness = parseInt(options.outlineThickness ?? 1);
+        // assign a black border when no fillColor or outlineColor is supplied
+        this.outlineColor = options.outlineColor ?? (this.fillColor === "transparent" ? "black" : "transparent");
+        this.outlineDash = options.outlineDash ?? [];
+        this.outlineDashOffset = options.outlineDashOffset ?? 0;
+        this.opacity = options.opacity ?? 1;
+        this.shadow = options.shadow ?? null;
+        this.blendMode = options.blendMode ?? "source-over";
+
+        if (this.outlineDash === null || this.outlineDash.constructor !== Array || this.outlineDash.some(n => n === null || n.constructor !== Number || n < 0))
+            throw new CGLException("Invalid outlineDash passed to CGLObject constructor. Dash must be an array of non-negative numbers.");
+        if (this.opacity === null || this.opacity.constructor !== Number || this.opacity < 0 || this.opacity > 1)
+            throw new CGLException("Invalid opacity passed to CGLObject constructor. Opacity must be a number between 0 and 1.");
+
+        // check transform
+        this.rotation = options.rotation ?? 0;
+        this.scaleX = options.scaleX ?? options.scale ?? 1;
+        this.scaleY = options.scaleY ?? options.scale ?? 1;
+        this.flipX = options.flipX ?? false;
+        this.flipY = options.flipY ?? false;
+        this.pivot = options.pivot ?? null;
+
+        if (this.scaleX === null || this.scaleX.constructor !== Number || this.scaleY === null || this.scaleY.constructor !== Number)
+            throw new CGLException("Invalid scale passed to CGLObject constructor. Expected number.");
+        if (this.pivot !== null && (this.pivot.x?.constructor !== Number || this.pivot.y?.constructor !== Number))
+            throw new CGLException("Invalid pivot passed to CGLObject constructor. Expected null or {x, y}.");
+
+        this.isVisible = options.isVisible ?? true;
+        this.cursor = options.cursor ?? "";
+        this.layer = options.layer ?? "default";
+        this.ignoreClicks = options.ignoreClicks ?? false;
+        this.collisionLayer = options.collisionLayer ?? 1;
+        this.collisionMask = options.collisionMask ?? 0xFFFFFFFF;
+
+        // check rigid-body properties
+        this.bodyType = options.bodyType ?? null;
+        this.mass = options.mass ?? 1;
+        this.restitution = options.restitution ?? 0.2;
+        this.friction = options.friction ?? 0.3;
+
+        if (this.bodyType !== null && !["dynamic", "static", "kinematic"].includes(this.bodyType))
+            throw new CGLException("Invalid body type passed to CGLObject constructor. Expected null, \"dynamic\", \"static\" or \"kinematic\", got " + this.bodyType);
+        if (this.mass.constructor !== Number || this.mass <= 0)
+            throw new CGLException("Invalid mass passed to CGLObject constructor. Mass must be a positive number.");
+        if (this.restitution === null || this.restitution.constructor !== Number || this.restitution < 0 || this.restitution > 1)
+            throw new CGLException("Invalid restitution passed to CGLObject constructor. Restitution must be a number between 0 and 1.");
+        if (this.friction === null || this.friction.constructor !== Number || this.friction < 0)
+            throw new CGLException("Invalid friction passed to CGLObject constructor. Friction must be a non-negative number.");
+    }
+
+    // the canvas this object is drawn on, either directly or through its parent group
+    get canvas() {  return this.#canvas ?? this.#parent?.canvas ?? null;  }
+    set canvas(c) {  this.#canvas = c;  }
+
+    // the CGLGroup containing this object, or null
+    get parent() {  return this.#parent;  }
+    __setParent(group) {  this.#parent = group;  }
+
+    // properties which change the object's bounds
+    get x() {  return this.#x;  }
+    set x(n) {  this.#x = this.#changed(this.#x, n);  }
+    get y() {  return this.#y;  }
+    set y(n) {  this.#y = this.#changed(this.#y, n);  }
+    get rotation() {  return this.#rotation;  }
+    set rotation(n) {  this.#rotation = this.#changed(this.#rotation, n);  }
+    get scaleX() {  return this.#scaleX;  }
+    set scaleX(n) {  this.#scaleX = this.#changed(this.#scaleX, n);  }
+    get scaleY() {  return this.#scaleY;  }
+    set scaleY(n) {  this.#scaleY = this.#changed(this.#scaleY, n);  }
+    get flipX() {  return this.#flipX;  }
+    set flipX(b) {  this.#flipX = this.#changed(this.#flipX, b);  }
+    get flipY() {  return this.#flipY;  }
+    set flipY(b) {  this.#flipY = this.#changed(this.#flipY, b);  }
+    get pivot() {  return this.#pivot;  }
+    set pivot(p) {  this.#pivot = this.#changed(this.#pivot, p);  }
+    get outlineThickness() {  return this.#outlineThickness;  }
+    set outlineThickness(n) {  this.#outlineThickness = this.#changed(this.#outlineThickness, n);  }
+    get isVisible() {  return this.#isVisible;  }
+    set isVisible(b) {  this.#isVisible = this.#changed(this.#isVisible, b);  }
+
+    // returns the new value of a property, first letting the canvas know the object moved if the value changed
+    #changed(value, next) {
+        if (next !== value) this.__moved();
+        return next;
+    }
+
+    // lets the canvas know this object's bounds have changed, so it re-files the object's outermost group in its spatial index
+    // (called by every setter which changes the bounds, and by subclasses whose shapes change)
+    __moved() {
+        let top = this;
+        while (top.#parent !== null) top = top.#parent;
+        top.#canvas?.__markMoved(top);
+    }
+
+    // draws the CGLObject at its x, y coords with its styles, called by CGLCanvas and CGLGroup
+    __render(ctx) {
+        ctx.save();
+
+        // assign properties (gradients and patterns are positioned by the transform when they're drawn)
+        ctx.fillStyle = __cglResolveStyle(ctx, this.fillColor);
+        ctx.strokeStyle = __cglResolveStyle(ctx, this.outlineColor);
+        ctx.lineWidth = this.outlineThickness;
+        ctx.setLineDash(this.outlineDash);
+        ctx.lineDashOffset = this.outlineDashOffset;
+        ctx.globalAlpha *= this.opacity;
+        ctx.globalCompositeOperation = this.blendMode;
+
+        // shadow offsets aren't transformed, so flip y to match the canvas
+        if (this.shadow !== null) {
+            ctx.shadowColor = this.shadow.color ?? "black";
+            ctx.shadowBlur = this.shadow.blur ?? 0;
+            ctx.shadowOffsetX = this.shadow.offsetX ?? 0;
+            ctx.shadowOffsetY = -(this.shadow.offsetY ?? 0);
+        }
+
+        // move to x, y coords, then rotate, scale and flip about the pivot
+        const pivot = this.__getPivot();
+        ctx.translate(this.x + pivot.x, this.y + pivot.y);
+        ctx.rotate(-this.rotation * Math.PI / 180);
+        ctx.scale(this.scaleX * (this.flipX ? -1 : 1), this.scaleY * (this.flipY ? -1 : 1));
+        ctx.translate(-pivot.x, -pivot.y);
+
+        // let recording contexts know which object is being drawn
+        ctx.__beginObject?.(this);
+        this.__draw(ctx);
+        ctx.__endObject?.();
+
+        // revert styles and origin
+        ctx.restore();
+    }
+
+    // template draw method, called by CGLCanvas
+    // ctx: canvas.getContext("2d"), already transformed into the object's local coordinates
+    __draw(ctx) {
+        if (this.constructor === CGLObject)
+            throw new CGLException("Cannot directly call draw() on CGLObject, only subclasses.");
+    }
+
+    // animates properties of the CGLObject on the canvas clock, returns a CGLTween to control the animation
+    // props: end values of numeric or CSS color properties, ie. {x: 100, fillColor: "red"}
+    // duration: in ms; easing: name of a CGLEasing curve or a function; options: {delay, repeat, yoyo}
+    tween(props=null, duration=null, easing="linear", options={}) {
+        const tween = new CGLTween(this, props, duration, easing, options);
+        this.#tweens.push(tween);
+        return tween;
+    }
+
+    // stops every tween animating this object
+    stopTweens() {
+        this.#tweens.forEach(tween => tween.stop());
+        this.#tweens = [];
+    }
+
+    // returns true if the object's appearance may change without it moving, ie. while it's being tweened
+    __isAnimating() {  return this.#tweens.length > 0;  }
+
+    // saves the object with the serializer registered for its class (see CGLSERIALIZERS), also used by JSON.stringify
+    toJSON() {  return CGLSerializers.toJSON(this);  }
+
+    // rebuilds an object saved by toJSON(), ie. CGLRect.fromJSON(data)
+    static fromJSON(data=null) {
+        const obj = CGLSerializers.fromJSON(data);
+        if (!(obj instanceof this))
+            throw new CGLException("Cannot load " + obj.constructor.name + " JSON as " + this.name + ".");
+
+        return obj;
+    }
+
+    // move the CGLObject based on the given frameGap (game time since the last update, in seconds)
+    __move(frameGap) {
+        // advance tweens, starting any chained after those which finish
+        for (let tween of [...this.#tweens]) {
+            const next = tween.__update(frameGap);
+            this.#tweens.push(...next);
+        }
+        this.#tweens = this.#tweens.filter(tween => !tween.isFinished);
+
+        // move the object
+        this.velocity.x += this.acceleration.x * frameGap;
+        this.velocity.y += this.acceleration.y * frameGap;
+        this.x += this.velocity.x * frameGap;
+        this.y += this.velocity.y * frameGap;
+
+        // rotate the object
+        this.angularVelocity += this.angularAcceleration * frameGap;
+        this.rotation += this.angularVelocity * frameGap;
+        this.rotation %= 360;
+    }
+
+    // returns true if the specified point (in the parent's coordinates) is in bounds of the object, or false otherwise
+    __isPointInBounds(x, y) {
+        [x, y] = this.__parentToLocal(x, y);
+        return this.__containsLocalPoint(x, y);
+    }
+
+    // template method returning true if the point (in local coordinates) is inside the shape
+    __containsLocalPoint(x, y) {
+        throw new CGLException("Cannot directly call containsLocalPoint() on CGLObject, only subclasses.");
+    }
+
+    // template method returning the shape in local coordinates, before rotation, scaling and flipping (see CGLCOLLISION HELPERS)
+    __getLocalShape() {
+        throw new CGLException("Cannot directly call getLocalShape() on CGLObject, only subclasses.");
+    }
+
+    // returns the outline of the region which is clicked, as local [x, y] points (drawn by CGLDebugOverlay)
+    __getHitOutline() {
+        const shape = this.__getLocalShape();
+        return shape.type === "circle" ? __cglEllipsePoints(shape.x, shape.y, shape.radius, shape.radius) : shape.points;
+    }
+
+    // returns the local axis-aligned bounding box before any transform, as {x, y, width, height}
+    __getLocalBounds() {
+        const {minX, minY, maxX, maxY} = __cglShapeBounds(this.__getLocalShape());
+        return {"x": minX, "y": minY, "width": maxX - minX, "height": maxY - minY};
+    }
+
+    // the point the object rotates, scales and flips about, in local coordinates
+    __getPivot() {  return this.pivot ?? this.__getDefaultPivot();  }
+
+    // template method returning the shape's natural center, the pivot unless another is set
+    __getDefaultPivot() {  return {"x": 0, "y": 0};  }
+
+    // converts a point from this object's local coordinates to its parent's coordinates
+    __localToParent(x, y) {
+        const pivot = this.__getPivot();
+        const sin = Math.sin(-this.rotation * Math.PI/180);
+        const cos = Math.cos(-this.rotation * Math.PI/180);
+
+        x = (x - pivot.x) * this.scaleX * (this.flipX ? -1 : 1);
+        y = (y - pivot.y) * this.scaleY * (this.flipY ? -1 : 1);
+        return [cos*x - sin*y + pivot.x + this.x, sin*x + cos*y + pivot.y + this.y];
+    }
+
+    // converts a point from this object's parent's coordinates to its local coordinates
+    __parentToLocal(x, y) {
+        const pivot = this.__getPivot();
+        const sin = Math.sin(-this.rotation * Math.PI/180);
+        const cos = Math.cos(-this.rotation * Math.PI/180);
+
+        x -= this.x + pivot.x, y -= this.y + pivot.y;
+        return [(cos*x + sin*y) / (this.scaleX * (this.flipX ? -1 : 1)) + pivot.x, (-sin*x + cos*y) / (this.scaleY * (this.flipY ? -1 : 1)) + pivot.y];
+    }
+
+    // converts a point from this object's local coordinates to world (canvas) coordinates, as {x, y}
+    localToWorld(x, y) {
+        [x, y] = this.__parentToCanvas(...this.__localToParent(x, y));
+        return {"x": x, "y": y};
+    }
+
+    // converts a point from world (canvas) coordinates to this object's local coordinates, as {x, y}
+    worldToLocal(x, y) {
+        // walk down from the outermost group
+        const chain = [this];
+        for (let group = this.#parent; group !== null; group = group.parent) chain.unshift(group);
+        for (let obj of chain) [x, y] = obj.__parentToLocal(x, y);
+        return {"x": x, "y": y};
+    }
+
+    // returns the bounding box in world coordinates, either axis-aligned as {x, y, width, height} (from the bottom-left),
+    // or oriented as {x, y, width, height, rotation, corners} where x, y is the center and rotation is clockwise, in degrees
+    getBounds(oriented=false) {
+        const {x, y, width, height} = this.__getLocalBounds();
+        const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]].map(([cx, cy]) => {
+            const point = this.localToWorld(cx, cy);
+            return [point.x, point.y];
+        });
+
+        if (!oriented) {
+            const {minX, minY, maxX, maxY} = __cglShapeBounds({"type": "poly", "points": corners});
+            return {"x": minX, "y": minY, "width": maxX - minX, "height": maxY - minY};
+        }
+
+        const center = this.localToWorld(x + width/2, y + height/2);
+        const [a, b, , d] = corners;
+        return {
+            "x": center.x, "y": center.y,
+            "width": Math.hypot(b[0] - a[0], b[1] - a[1]), "height": Math.hypot(d[0] - a[0], d[1] - a[1]),
+            "rotation": -Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI,
+            "corners": corners
+        };
+    }
+
+    // returns the topmost object at the given point (in the parent's coordinates), or null
+    __hitTest(x, y) {
+        return this.__isPointInBounds(x, y) ? this : null;
+    }
+
+    // template method returning how far outside of its bounds the object can still be clicked, in world pixels
+    __getHitPadding() {  return 0;  }
+
+    // template method returning details added to pointer events targeting the object, given the pointer's world position
+    __pointerDetails(x, y) {  return {};  }
+
+    // converts a point from the coordinate space of this object's parent group to canvas coordinates
+    __parentToCanvas(x, y) {
+        for (let group = this.#parent; group !== null; group = group.parent)
+            [x, y] = group.__localToParent(x, y);
+        return [x, y];
+    }
+
+    // returns the collision shape of the object in its parent's coordinates (see CGLCOLLISION HELPERS)
+    __getCollisionShape() {
+        return __cglTransformShape(this.__getLocalShape(), (x, y) => this.__localToParent(x, y));
+    }
+
+    // returns the collision shape of the object in canvas coordinates
+    __getCanvasCollisionShape() {
+        const shape = this.__getCollisionShape();
+        if (this.#parent === null) return shape;
+
+        return __cglTransformShape(shape, (x, y) => this.__parentToCanvas(x, y));
+    }
+
+    // returns true if this object and the other should be tested for collisions based on their layers
+    canCollideWith(other) {
+        return (this.collisionLayer & other.collisionMask) !== 0 && (other.collisionLayer & this.collisionMask) !== 0;
+    }
+
+    // returns the contact between this object and another, or null if they don't intersect
+    // the contact is {"normal": {x, y}, "depth": number, "point": {x, y}}, where the normal points from this object to the other
+    // (concave polygons are treated as their convex hull)
+    intersects(other=null) {
+        if (other === null || !(other instanceof CGLObject))
+            throw new CGLException("Invalid object passed to intersects. Expected subclass of CGLObject, got " + (other === null ? null : other.constructor.name));
+        if (other === this) return null;
+
+        // groups test each of their children
+        if (other instanceof CGLGroup) {
+            const contact = other.intersects(this);
+            return contact === null ? null : {...contact, "normal": {"x": -contact.normal.x, "y": -contact.normal.y}};
+        }
+
+        return __cglCollideShapes(this.__getCanvasCollisionShape(), other.__getCanvasCollisionShape());
+    }
+
+    // enable rearrangement of the child in the canvas (or within its group)
+    // move the CGLObject to the front of the canvas
+    toFront() {
+        const container = this.#parent ?? this.canvas;
+        if (container === null)
+            throw new CGLException("Cannot move CGLObject z-position: the object is not a child of a canvas or group.");
+
+        // move the child to the front of the parent canvas
+        container.remove(this);
+        container.append(this);
+    }
+
+    // move the CGLObject to the back of the canvas
+    toBack() {
+        const container = this.#parent ?? this.canvas;
+        if (container === null)
+            throw new CGLException("Cannot move CGLObject z-position: the object is not a child of a canvas or group.");
+
+        // move the child to the front of the parent canvas
+        container.remove(this);
+        container.prepend(this);
+    }
+}
+
+// container of CGLObjects whose x, y and rotation are relative to the group's x, y and rotation
+class CGLGroup extends CGLObject {
+    #children; // contains CGLObjects, drawn in order
+
+    constructor(x=null, y=null, children=[], options={}) {
+        super(x, y, options);
+
+        if (children === null || children.constructor !== Array)
+            throw new CGLException("Invalid children passed to CGLGroup constructor. Expected array of CGLObjects.");
+
+        this.#children = [];
+        children.forEach(child => this.append(child));
+    }
+
+    get children() {  return [...this.#children];  }
+
+    // throws if the object can't be added to this group
+    #checkChild(obj) {
+        if (obj === null || !(obj instanceof CGLObject))
+            throw new CGLException("Invalid CGLGroup child. Expected subclass of CGLObject, got " + (obj === null ? null : obj.constructor.name));
+        else if (obj.parent !== null)
+            throw new CGLException("CGLObject already belongs to a group: " + obj.parent.id);
+        else if (obj.canvas !== null)
+            throw new CGLException("CGLObject already belongs to a canvas: " + obj.canvas.id);
+
+        // prevent groups from containing themselves
+        for (let group = this; group !== null; group = group.parent)
+            if (group === obj)
+                throw new CGLException("Cannot add a CGLGroup to itself or one of its children.");
+    }
+
+    // append child to the end of the children array (draws above everything in the group)
+    append(obj=null) {
+        this.#checkChild(obj);
+        this.#children.push(obj);
+        obj.__setParent(this);
+        this.__moved();
+    }
+
+    // append child to start of array (draws behind everything in the group)
+    prepend(obj=null) {
+        this.#checkChild(obj);
+        this.#children.unshift(obj);
+        obj.__setParent(this);
+        this.__moved();
+    }
+
+    // remove a child from the children array
+    // returns true when the object is found and removed, false otherwise
+    remove(obj=null) {
+        if (obj === null || !(obj instanceof CGLObject))
+            throw new CGLException("Cannot remove non-CGLObject from group.");
+
+        const index = this.#children.indexOf(obj);
+        if (index === -1) return false;
+
+        this.#children.splice(index, 1);
+        obj.__setParent(null);
+        this.__moved();
+        return true;
+    }
+
+    // draw each child in the group's coordinates (the canvas is already transformed by __render)
+    __draw(ctx) {
+        for (let child of this.#children)
+            if (child.isVisible) child.__render(ctx); // cull hidden elements
+    }
+
+    __isAnimating() {  return super.__isAnimating() || this.#children.some(child => child.isVisible && child.__isAnimating());  }
+
+    __getHitPadding() {  return Math.max(0, ...this.#children.filter(child => child.isVisible).map(child => child.__getHitPadding()));  }
+
+    // move the group, then each of its children within it
+    __move(frameGap) {
+        super.__move(frameGap);
+
+        for (let child of this.#children)
+            if (child.isVisible) child.__move(frameGap);
+    }
+
+    // returns the topmost visible and clickable child at the given point, or null
+    __hitTest(x, y) {
+        [x, y] = this.__parentToLocal(x, y);
+
+        for (let i = this.#children.length-1; i >= 0; i--) {
+            const child = this.#children[i];
+            if (!child.isVisible || child.ignoreClicks) continue;
+
+            const hit = child.__hitTest(x, y);
+            if (hit !== null) return hit;
+        }
+
+        return null;
+    }
+
+    __isPointInBounds(x, y) {  return this.__hitTest(x, y) !== null;  }
+
+    // groups don't have a shape of their own, only their children
+    __getCollisionShape() {
+        throw new CGLException("CGLGroup has no collision shape; test its children instead.");
+    }
+
+    // the union of the visible children's bounds, in the group's coordinates
+    __getLocalBounds() {
+        const points = [];
+        for (let child of this.#children) {
+            if (!child.isVisible) continue;
+
+            const {x, y, width, height} = child.__getLocalBounds();
+            for (let [cx, cy] of [[x, y], [x + width, y], [x + width, y + height], [x, y + height]])
+                points.push(child.__localToParent(cx, cy));
+        }
+
+        if (points.length === 0) return {"x": 0, "y": 0, "width": 0, "height": 0};
+        const {minX, minY, maxX, maxY} = __cglShapeBounds({"type": "poly", "points": points});
+        return {"x": minX, "y": minY, "width": maxX - minX, "height": maxY - minY};
+    }
+
+    // the axis-aligned bounds are the union of the children's, which is tighter than transforming the group's box
+    getBounds(oriented=false) {
+        const visible = this.#children.filter(child => child.isVisible);
+        if (oriented || visible.length === 0) return super.getBounds(oriented);
+
+        const points = visible.flatMap(child => {
+            const {x, y, width, height} = child.getBounds();
+            return [[x, y], [x + width, y + height]];
+        });
+        const {minX, minY, maxX, maxY} = __cglShapeBounds({"type": "poly", "points": points});
+        return {"x": minX, "y": minY, "width": maxX - minX, "height": maxY - minY};
+    }
+
+    // returns the first contact between one of the group's children and the other object, or null
+    intersects(other=null) {
+        if (other === null || !(other instanceof CGLObject))
+            throw new CGLException("Invalid object passed to intersects. Expected subclass of CGLObject, got " + (other === null ? null : other.constructor.name));
+
+        for (let child of this.#children) {
+            if (child === other) continue;
+
+            const contact = child.intersects(other);
+            if (contact !== null) return contact;
+        }
+
+        return null;
+    }
+}
+
+// polygon defined by set of points
+class CGLPoly extends CGLObject {
+    #vertices; // array of 3+ vertices, each as an array of 2 numbers in the format [x, y]
+    
+    // the average of the vertices, the default pivot
+    // (relative to x, y so that it moves with the polygon, like every other pivot, rather than staying where the polygon was created)
+    #centroidX; // relative to the polygon's x, y
+    #centroidY; // relative to the polygon's x, y
+
+    constructor(x=null, y=null, vertices=null, options={}) {
+        super(x, y, options);
+
+        // check parameters
+        if (vertices === null || vertices.constructor !== Array || vertices.length < 3)
+            throw new CGLException("Invalid parameter passed to CGLPoly constructor. Parameter vertices array must have at least >=3 vertices.");
+
+        // sanitize vertices
+        vertices.forEach(n => {
+            if (n.length !== 2 || n[0].constructor !== Number || n[1].constructor !== Number)
+                throw new CGLException("Invalid argument: vertices must each be an array of 2 numbers in the format [x, y].");
+        });
+
+        // everything is good, assign vertices
+        this.#vertices = vertices.map(arr => [...arr]); // shallow copy
+
+        // determine centroid
+        this.#centroidX = 0, this.#centroidY = 0;
+        this.#vertices.forEach(arr => {this.#centroidX += arr[0]; this.#centroidY += arr[1]});
+        this.#centroidX /= this.#vertices.length;
+        this.#centroidY /= this.#vertices.length;
+    }
+
+    __draw(ctx) {
+        ctx.save();
+
+        ctx.beginPath();
+        for (let [x, y] of this.#vertices) ctx.lineTo(x, y);
+        ctx.closePath();
+
+        if (this.fillColor !== "transparent") ctx.fill();
+        
+        // stroke and fill (inset stroke thanks to https://stackoverflow.com/a/45125187)
+        ctx.clip();
+        ctx.lineWidth *= 2;
+        if (this.outlineColor !== "transparent") ctx.stroke();
+
+        ctx.restore();
+    }
+
+    // shallow copy vertices on return to prevent reference modification
+    get vertices() {  return this.#vertices.map(arr => [...arr]);  }
+    set vertices(v) {
+        // check parameters
+        if (v === null || v.constructor !== Array || v.length < 3)
+            throw new CGLException("Invalid parameter passed to CGLPoly vertices. Parameter vertices array must have at least >=3 vertices.");
+
+        // sanitize vertices
+        v.forEach(n => {
+            if (n.length !== 2 || n[0].constructor !== Number || n[1].constructor !== Number)
+                throw new CGLException("Invalid argument: vertices must each be an array of 2 numbers in the format [x, y].");
+        });
+
+        this.#vertices = v.map(arr => [...arr]); // shallow copy
+
+        // determine centroid
+        this.#centroidX = 0, this.#centroidY = 0;
+        this.#vertices.forEach(arr => {this.#centroidX += arr[0]; this.#centroidY += arr[1]});
+        this.#centroidX /= this.#vertices.length;
+        this.#centroidY /= this.#vertices.length;
+        this.__moved();
+    }
+
+    __getDefaultPivot() {  return {"x": this.#centroidX, "y": this.#centroidY};  }
+
+    __getLocalShape() {
+        return {"type": "poly", "points": __cglConvexHull(this.#vertices)};
+    }
+
+    // clicks land inside the vertices, not their hull
+    __getHitOutline() {  return this.vertices;  }
+
+    __containsLocalPoint(x, y) {
+        const vertices = this.#vertices;
+
+        // check if the point is within the vertices (largely thanks to https://stackoverflow.com/a/2922778)
+        let isInBounds = false;
+
+        for (let i = 0, j = vertices.length-1; i < vertices.length; j = i++) {
+            if (((vertices[i][1] > y) !== (vertices[j][1] > y)) && (x < (vertices[j][0] - vertices[i][0]) * (y - vertices[i][1]) / (vertices[j][1] - vertices[i][1]) + vertices[i][0]))
+                isInBounds = !isInBounds;
+        }
+
+        return isInBounds;
+    }
+}
+
+// ellipse defined by major and minor axes' lengths
+class CGLEllipse extends CGLObject {
+    #horizLength; // length of ellipse in the direction of the horizontal axis
+    #vertLength; // length of ellipse in the direction of the vertical axis
+
+    constructor(x=null, y=null, horizLength=null, vertLength=null, options={}) {
+        super(x, y, options);
+
+        // check axes
+        if (horizLength === null || horizLength.constructor !== Number || horizLength < 0)
+            throw new CGLException("Invalid horizontal axis length passed to CGLEllipse constructor. Length must be a positive number.");
+        if (vertLength === null || vertLength.constructor !== Number || vertLength < 0)
+            throw new CGLException("Invalid vertical axis length passed to CGLEllipse constructor. Length must be a positive number.");
+
+        // assign parameters
+        this.#horizLength = horizLength;
+        this.#vertLength = vertLength;
+    }
+
+    __draw(ctx) {
+        // draw ellipse
+        ctx.beginPath();
+        // move the ellipse since ctx.ellipse draws at the center
+        ctx.ellipse(this.#horizLength/2, this.#vertLength/2, this.#horizLength/2, this.#vertLength/2, 0, 0, 2*Math.PI);
+
+        if (this.fillColor !== "transparent") ctx.fill();
+        if (this.outlineColor !== "transparent") ctx.stroke();
+    }
+
+    get horizDiameter() {  return this.#horizLength;  }
+    set horizDiameter(h) {
+        if (h === null || h.constructor !== Number || h < 0)
+            throw new CGLException("Invalid argument type: expected positive number.");
+        this.#horizLength = h;
+        this.__moved();
+    }
+    get vertDiameter() {  return this.#vertLength;  }
+    set vertDiameter(v) {
+        if (v === null || v.constructor !== Number || v < 0)
+            throw new CGLException("Invalid argument type: expected positive number.");
+        this.#vertLength = v;
+        this.__moved();
+    }
+
+    // ellipses rotate about their center
+    __getDefaultPivot() {  return {"x": this.#horizLength/2, "y": this.#vertLength/2};  }
+
+    __containsLocalPoint(x, y) {
+        // check the point against the ellipse boundaries
+        return (2 * (x - this.#horizLength/2) / this.#horizLength) ** 2 + (2 * (y - this.#vertLength/2) / this.#vertLength) ** 2 <= 1;
+    }
+
+    // circles collide exactly, other ellipses are approximated by a polygon
+    __getLocalShape() {
+        const cX = this.#horizLength/2, cY = this.#vertLength/2;
+
+        if (this.#horizLength === this.#vertLength)
+            return {"type": "circle", "x": cX, "y": cY, "radius": cX};
+        return {"type": "poly", "points": __cglEllipsePoints(cX, cY, cX, cY)};
+    }
+}
+
+// circle defined by a diameter (via immediate passthrough to CGLEllipse)
+class CGLCircle extends CGLEllipse {
+    constructor(x, y, diameter, options={}) {
+        super(x, y, diameter, diameter, options);
+    }
+
+    get radius() {  return this.horizDiameter/2;  }
+    set radius(r) {
+        if (r === null || r.constructor !== Number || r < 0)
+            throw new CGLException("Invalid argument type: expected positive number.");
+        this.horizDiameter = r*2; // call super setters
+        this.vertDiameter = r*2; // call super setters
+    }
+}
+
+// rectangle defined by width and height
+class CGLRect extends CGLPoly {
+    #width; // numeric dimensions of rectangle, in pixels
+    #height; // numeric dimensions of rectangle, in pixels
+
+    constructor(x=null, y=null, width=null, height=null, options={}) {
+        // verify width and height are valid
+        if (width === null || width.constructor !== Number || width < 0)
+            throw new CGLException("Invalid width passed to CGLRect constructor. Width must be a positive number.");
+        if (height === null || height.constructor !== Number || height < 0)
+            throw new CGLException("Invalid height passed to CGLRect constructor. Height must be a positive number.");
+
+        // otherwise, passthrough to CGLPoly
+        super(x, y, [[0, 0], [0, height], [width, height], [width, 0]], options);
+        this.#width = width;
+        this.#height = height;
+    }
+
+    get width() {  return this.#width;  }
+    get height() {  return this.#height;  }
+    set width(w) {
+        if (w === null || w.constructor !== Number || w < 0)
+            throw new CGLException("Invalid width passed to CGLRect. Width must be a positive number.");
+        this.#width = w;
+        this.vertices = [[0, 0], [0, this.height], [w, this.height], [w, 0] ];
+    }
+    set height(h) {
+        if (h === null || h.constructor !== Number || h < 0)
+            throw new CGLException("Invalid height passed to CGLRect. Height must be a positive number.");
+        this.#height = h;
+        this.vertices = [[0, 0], [0, h], [this.width, h], [this.width, 0] ];
+    }
+}
+
+// square defined by set of vertices (via immediate passthrough to CGLRect)
+class CGLSquare extends CGLRect {
+    constructor(x=null, y=null, size=null, options={}) {
+        // verify width and height are valid
+        if (size === null || size.constructor !== Number || size < 0)
+            throw new CGLException("Invalid size passed to CGLRect constructor. Square size must be a positive number.");
+
+        // otherwise, passthrough to CGLRect
+        super(x, y, size, size, options);
+    }
+
+    get size() {  return this.width;  }
+    set size(s) {
+        if (s === null || s.constructor !== Number || s < 0)
+            throw new CGLException("Invalid argument type: expected positive number.");
+        this.width = s; // call super setters
+        this.height = s; // call super setters
+    }
+}
+
+// an image defined by its source HTMLImageElement
+class CGLImage extends CGLRect {
+    #src; // the CGLAssets key or path of the current image
+    #img; // the current HTMLImageElement, shared with every other object using the same image
+
+    // imagePath: an image URL or the key of an image preloaded by CGLAssets
+    constructor(x=null, y=null, width=null, height=null, imagePath=null, options={}) {
+        // verify width and height are valid
+        if (width === null || width.constructor !== Number || width < 0)
+            throw new CGLException("Invalid width passed to CGLImage constructor. Width must be a positive number.");
+        if (height === null || height.constructor !== Number || height < 0)
+            throw new CGLException("Invalid height passed to CGLImage constructor. Height must be a positive number.");
+        if (imagePath === null || imagePath.constructor !== String || imagePath === "")
+            throw new CGLException("Invalid image URL passed to CGLImage constructor. Image path must be a non-empty string.");
+
+        // otherwise, passthrough to CGLRect
+        super(x, y, width, height, options);
+        this.src = imagePath; // call setter to set #img and #src
+    }
+
+    get src() {  return this.#src;  }
+    set src(s) {
+        if (s === null || s.constructor !== String || s === "")
+            throw new CGLException("Invalid image URL passed to CGLImage. Image path must be a non-empty string.");
+        this.#src = s;
+        this.#img = CGLAssets.image(s); // cached by CGLAssets
+    }
+    get image() {  return this.#img;  }
+
+    // override draw method to draw the image w/ rotation
+    __draw(ctx) {
+        this.__drawImage(ctx, this.#img);
+    }
+
+    // draws an image (or the {x, y, width, height} source rectangle of it) to fill this object
+    __drawImage(ctx, image, source=null) {
+        // skip images which haven't loaded yet (or failed to load)
+        if (!image.complete || image.naturalWidth === 0) return;
+
+        // un-flip so the image isn't upside down
+        ctx.translate(0, this.height);
+        ctx.scale(1, -1);
+
+        if (source === null)
+            ctx.drawImage(image, 0, 0, this.width, this.height);
+        else
+            ctx.drawImage(image, source.x, source.y, source.width, source.height, 0, 0, this.width, this.height);
+
+        // re-flip
+        ctx.scale(1, -1);
+        ctx.translate(0, -this.height);
+    }
+}
+
+// an animation of separate images, one for each frame
+class CGLFrames extends CGLImage {
+    #frameURLs; // the array of string URLs for each frame
+    #animator; // CGLAnimator; plays the frame pattern
+
+    // options: {mode: "loop" | "once" | "pingpong", autoplay: boolean}
+    constructor(x=null, y=null, width=null, height=null, frameURLs=null, frameTime=null, pattern=null, options={}) {
+        // verify width and height are valid
+        if (width === null || width.constructor !== Number || width < 0)
+            throw new CGLException("Invalid width passed to CGLFrames constructor. Width must be a positive number.");
+        if (height === null || height.constructor !== Number || height < 0)
+            throw new CGLException("Invalid height passed to CGLFrames constructor. Height must be a positive number.");
+        if (frameURLs === null || frameURLs.constructor !== Array || frameURLs.length === 0)
+            throw new CGLException("Invalid frame URLs passed to CGLFrames constructor. Frame URLs must be a non-empty array of URL strings.");
+        if (pattern !== null && pattern.constructor !== Array)
+            throw new CGLException("Invalid pattern passed to CGLFrames constructor. Pattern must consist of zero-index indices of each frame in their desired order.");
+
+        // verify the imagePaths are all strings
+        frameURLs.forEach(url => {
+            if (url === null || url.constructor !== String)
+                throw new CGLException("Invalid frame URL; expected string, got " + (url === null ? null : url.constructor.name) + ".");
+        });
+
+        // verify the pattern is all numbers, if provided
+        if (pattern !== null) {
+            pattern = pattern.map(index => {
+                if (index === null || index.constructor !== Number || index >= frameURLs.length)
+                    throw new CGLException("Invalid index passed to CGLFrame pattern; only numbers are valid indices between 0 and the number of frames-1.");
+                
+                // base case
+                return index;
+            });
+        } else {
+            // set default pattern
+            pattern = frameURLs.map((url, index) => index);
+        }
+
+        // verify the frame times match the pattern (CGLAnimation throws otherwise)
+        const animation = new CGLAnimation("default", pattern, frameTime, options.mode ?? "loop");
+
+        // otherwise, passthrough to CGLImage with first frame
+        super(x, y, width, height, frameURLs[pattern[0]], options);
+        this.__registerEvents("frame", "animationend");
+
+        this.#frameURLs = [...frameURLs]; // shallow copy
+        this.#frameURLs.forEach(url => CGLAssets.image(url)); // request every frame now so none pop in late
+        this.#animator = new CGLAnimator((anim, index) => this.#showFrame(anim, index), (anim) => this.#endAnimation(anim));
+
+        this.#animator.play(animation);
+        if (!(options.autoplay ?? true)) this.#animator.pause();
+    }
+
+    get frameIndex() {  return this.#animator.frameIndex;  }
+    get isPlaying() {  return this.#animator.isPlaying;  }
+    get frameURLs() {  return [...this.#frameURLs];  }
+
+    // the order the frames are played in, and how long each is shown for (in ms)
+    get pattern() {  return [...this.#animator.animation.frames];  }
+    get frameTimes() {  return [...this.#animator.animation.frameTimes];  }
+    get mode() {  return this.#animator.animation.mode;  }
+
+    __isAnimating() {  return super.__isAnimating() || this.#animator.isPlaying;  }
+
+    // playback controls
+    play(restart=false) {  this.#animator.play(this.#animator.animation, restart);  }
+    pause() {  this.#animator.pause();  }
+    stop() {  this.#animator.stop();  }
+    gotoFrame(index) {  this.#animator.gotoFrame(index);  }
+
+    // only swap the image when the frame actually changes
+    #showFrame(animation, index) {
+        const url = this.#frameURLs[animation.frames[index]];
+        if (url !== this.src) this.src = url;
+
+        this.__handleEvent("frame", this.canvas, new CGLEvent("frame", null, null, this, null, {"frameIndex": index, "frame": animation.frames[index]}));
+    }
+
+    #endAnimation(animation) {
+        this.__handleEvent("animationend", this.canvas, new CGLEvent("animationend", null, null, this, null, {"animation": animation.name}));
+    }
+
+    // override __move
+    __move(frameGap) {
+        // update frame, then call super.__move
+        this.#animator.__update(frameGap);
+        super.__move(frameGap);
+    }
+}
+
+// an image drawn from a frame of a CGLSpriteSheet, with named animations
+class CGLSprite extends CGLImage {
+    #sheet; // the CGLSpriteSheet containing each frame
+    #frame = 0; // the index or name of the frame being shown
+    #animations = {}; // maps animation names to their CGLAnimations
+    #animator; // CGLAnimator; plays the named animations
+
+    // options: {animations: {name: {frames, frameTime, mode}}, animation: name to autoplay, frame: initial frame}
+    // the sheet's own animations (from an atlas) are added first
+    constructor(x=null, y=null, width=null, height=null, sheet=null, options={}) {
+        if (sheet === null || !(sheet instanceof CGLSpriteSheet))
+            throw new CGLException("Invalid sprite sheet passed to CGLSprite constructor. Expected CGLSpriteSheet, got " + (sheet === null ? null : sheet.constructor.name));
+
+        super(x, y, width, height, sheet.src, options);
+        this.__registerEvents("frame", "animationend");
+
+        this.#sheet = sheet;
+        this.#animator = new CGLAnimator((anim, index) => this.#showFrame(anim, index), (anim) => this.#endAnimation(anim));
+
+        const animations = {...sheet.animations, ...(options.animations ?? {})};
+        for (let name in animations) {
+            const {frames, frameTime, mode} = animations[name];
+            this.addAnimation(name, frames, frameTime, mode);
+        }
+
+        this.frame = options.frame ?? 0;
+        if (options.animation !== undefined) this.play(options.animation);
+    }
+
+    get sheet() {  return this.#sheet;  }
+    get animation() {  return this.#animator.animation?.name ?? null;  }
+    get frameIndex() {  return this.#animator.frameIndex;  }
+    get isPlaying() {  return this.#animator.isPlaying;  }
+
+    // the sprite's animations, as {name: {frames, frameTime, mode}}
+    get animations() {
+        const animations = {};
+        for (let name in this.#animations) {
+            const {frames, frameTimes, mode} = this.#animations[name];
+            animations[name] = {"frames": [...frames], "frameTime": [...frameTimes], "mode": mode};
+        }
+        return animations;
+    }
+
+    __isAnimating() {  return super.__isAnimating() || this.#animator.isPlaying;  }
+
+    // the index or name of the sheet frame being shown, setting it stops any animation
+    get frame() {  return this.#frame;  }
+    set frame(key) {
+        if (!this.#sheet.hasFrame(key))
+            throw new CGLException("Invalid sprite frame: " + key);
+
+        this.#animator.pause();
+        this.#frame = key;
+    }
+
+    // adds a named animation of sheet frames (indices or names)
+    addAnimation(name=null, frames=null, frameTime=null, mode="loop") {
+        if (name === null || name.constructor !== String || name === "")
+            throw new CGLException("Invalid animation name: expected non-empty string.");
+
+        const animation = new CGLAnimation(name, frames, frameTime, mode);
+        animation.frames.forEach(key => {
+            if (!this.#sheet.hasFrame(key))
+                throw new CGLException("Invalid frame in animation \"" + name + "\": " + key);
+        });
+
+        this.#animations[name] = animation;
+    }
+
+    // plays a named animation, or resumes the current one
+    play(name=this.animation, restart=false) {
+        if (!(name in this.#animations))
+            throw new CGLException("Unknown sprite animation: " + name);
+
+        this.#animator.play(this.#animations[name], restart);
+    }
+
+    pause() {  this.#animator.pause();  }
+    stop() {  this.#animator.stop();  }
+    gotoFrame(index) {  this.#animator.gotoFrame(index);  }
+
+    #showFrame(animation, index) {
+        this.#frame = animation.frames[index];
+        this.__handleEvent("frame", this.canvas, new CGLEvent("frame", null, null, this, null, {"animation": animation.name, "frameIndex": index, "frame": this.#frame}));
+    }
+
+    #endAnimation(animation) {
+        this.__handleEvent("animationend", this.canvas, new CGLEvent("animationend", null, null, this, null, {"animation": animation.name}));
+    }
+
+    // draw the current frame from the sheet
+    __draw(ctx) {
+        this.__drawImage(ctx, this.#sheet.image, this.#sheet.getFrame(this.#frame));
+    }
+
+    __move(frameGap) {
+        this.#animator.__update(frameGap);
+        super.__move(frameGap);
+    }
+}
+
+// text drawn upright from its x, y anchor, optionally word-wrapped to a maximum width
+class CGLText extends CGLObject {
+    // each of these changes the text box, so they're set through accessors which re-file the text in the canvas' spatial index
+    #text; // string; the text to draw, "\n" starts a new line
+    #font; // string; CSS font family, ie. "sans-serif" or "'Press Start 2P', monospace"
+    #size; // number; font size, in pixels
+    #weight; // string or number; CSS font weight, ie. "bold" or 300
+    #align; // "left", "center" or "right"; horizontal position of the text relative to x
+    #baseline; // "top", "hanging", "middle", "alphabetic", "ideographic" or "bottom"; vertical position of the first line relative to y
+    #maxWidth; // number or null; width that lines are wrapped to, in pixels, or null to never wrap
+    #lineHeight; // number; distance between lines as a multiple of the font size
+
+    #layout = null; // the cached {key, lines, widths} from the last time the text was measured
+    static #measureCtx = null; // shared context used to measure text, created when first needed
+
+    constructor(x=null, y=null, text="", options={}) {
+        // text is filled black unless another color is given
+        super(x, y, {...options, "fillColor": options.fillColor ?? "black"});
+
+        if (text === null || (text.constructor !== String && text.constructor !== Number))
+            throw new CGLException("Invalid text passed to CGLText constructor. Expected string, got " + (text === null ? null : text.constructor.name));
+
+        this.text = String(text);
+        this.font = options.font ?? "sans-serif";
+        this.size = options.size ?? 16;
+        this.weight = options.weight ?? "normal";
+        this.align = options.align ?? "left";
+        this.baseline = options.baseline ?? "alphabetic";
+        this.maxWidth = options.maxWidth ?? null;
+        this.lineHeight = options.lineHeight ?? 1.2;
+
+        if (this.size === null || this.size.constructor !== Number || this.size <= 0)
+            throw new CGLException("Invalid size passed to CGLText constructor. Size must be a positive number.");
+        if (!["left", "center", "right"].includes(this.align))
+            throw new CGLException("Invalid align passed to CGLText constructor. Expected \"left\", \"center\" or \"right\", got " + this.align);
+        if (!["top", "hanging", "middle", "alphabetic", "ideographic", "bottom"].includes(this.baseline))
+            throw new CGLException("Invalid baseline passed to CGLText constructor, got " + this.baseline);
+        if (this.maxWidth !== null && (this.maxWidth.constructor !== Number || this.maxWidth <= 0))
+            throw new CGLException("Invalid maxWidth passed to CGLText constructor. Expected positive number or null.");
+    }
+
+    get text() {  return this.#text;  }
+    set text(t) {  this.#text = t; this.__moved();  }
+    get font() {  return this.#font;  }
+    set font(f) {  this.#font = f; this.__moved();  }
+    get size() {  return this.#size;  }
+    set size(n) {  this.#size = n; this.__moved();  }
+    get weight() {  return this.#weight;  }
+    set weight(w) {  this.#weight = w; this.__moved();  }
+    get align() {  return this.#align;  }
+    set align(a) {  this.#align = a; this.__moved();  }
+    get baseline() {  return this.#baseline;  }
+    set baseline(b) {  this.#baseline = b; this.__moved();  }
+    get maxWidth() {  return this.#maxWidth;  }
+    set maxWidth(n) {  this.#maxWidth = n; this.__moved();  }
+    get lineHeight() {  return this.#lineHeight;  }
+    set lineHeight(n) {  this.#lineHeight = n; this.__moved();  }
+
+    // the CSS font shorthand used to draw the text
+    get cssFont() {  return this.weight + " " + this.size + "px " + this.font;  }
+
+    // the wrapped lines of text
+    get lines() {  return [...this.#getLayout().lines];  }
+
+    // dimensions of the text box, in pixels
+    get width() {  return Math.max(...this.#getLayout().widths);  }
+    get height() {  return (this.#getLayout().lines.length - 1) * this.size * this.lineHeight + this.size;  }
+
+    // measures the width of a string in this text's font
+    #measure(str) {
+        if (CGLText.#measureCtx === null)
+            CGLText.#measureCtx = __cglCreateSurface()?.getContext("2d") ?? null;
+
+        // estimate when there's no canvas to measure with
+        if (CGLText.#measureCtx === null) return str.length * this.size * 0.6;
+
+        CGLText.#measureCtx.font = this.cssFont;
+        return CGLText.#measureCtx.measureText(str).width;
+    }
+
+    // wraps the text into lines, only re-measuring when the text or font changes
+    #getLayout() {
+        const key = [this.text, this.cssFont, this.maxWidth].join("|");
+        if (this.#layout?.key === key) return this.#layout;
+
+        const lines = [];
+        for (let paragraph of String(this.text).split("\n")) {
+            if (this.maxWidth === null) {
+                lines.push(paragraph);
+                continue;
+            }
+
+            // greedily fit words onto each line, breaking words which are too long on their own
+            let line = "";
+            for (let word of paragraph.split(" ")) {
+                const candidate = line === "" ? word : line + " " + word;
+                if (this.#measure(candidate) <= this.maxWidth) {
+                    line = candidate;
+                    continue;
+                }
+
+                if (line !== "") lines.push(line);
+                line = "";
+                for (let char of word) {
+                    if (line !== "" && this.#measure(line + char) > this.maxWidth) {
+                        lines.push(line);
+                        line = "";
+                    }
+                    line += char;
+                }
+            }
+            lines.push(line);
+        }
+
+        this.#layout = {"key": key, "lines": lines, "widths": lines.map(line => this.#measure(line))};
+        return this.#layout;
+    }
+
+    // returns the text box relative to x, y before rotation, as {left, top, width, height} (with y pointing down)
+    #getBox() {
+        const width = this.width, height = this.height;
+        const left = this.align === "center" ? -width/2 : this.align === "right" ? -width : 0;
+
+        // approximate the em box of the first line from the font size
+        const top = {"top": 0, "hanging": -0.1, "middle": -0.5, "alphabetic": -0.8, "ideographic": -0.8, "bottom": -1}[this.baseline] * this.size;
+        return {"left": left, "top": top, "width": width, "height": height};
+    }
+
+    __draw(ctx) {
+        const {lines} = this.#getLayout();
+
+        ctx.save();
+        ctx.scale(1, -1); // un-flip so the text isn't upside down
+
+        // mirror gradients and patterns to match
+        ctx.fillStyle = __cglResolveStyle(ctx, this.fillColor, true);
+        ctx.strokeStyle = __cglResolveStyle(ctx, this.outlineColor, true);
+        ctx.font = this.cssFont;
+        ctx.textAlign = this.align;
+        ctx.textBaseline = this.baseline;
+
+        // stroke beneath the fill so the outline doesn't cover the letters
+        for (let i = 0; i < lines.length; i++) {
+            const lineY = i * this.size * this.lineHeight;
+            if (this.outlineColor !== "transparent") ctx.strokeText(lines[i], 0, lineY);
+            if (this.fillColor !== "transparent") ctx.fillText(lines[i], 0, lineY);
+        }
+
+        ctx.restore();
+    }
+
+    // the text box with y pointing up, so texts rotate, scale and flip about their x, y anchor
+    __getLocalShape() {
+        const {left, top, width, height} = this.#getBox();
+        return {"type": "poly", "points": [[left, -top - height], [left + width, -top - height], [left + width, -top], [left, -top]]};
+    }
+
+    __containsLocalPoint(x, y) {
+        const {left, top, width, height} = this.#getBox();
+        return x >= left && x <= left + width && -y >= top && -y <= top + height;
+    }
+}
+
+// open or closed path of lines and quadratic/cubic Bézier curves, stroked with the outline color
+// (dash patterns use the outlineDash option shared by every CGLObject, which the dash and dashOffset options also set)
+class CGLPath extends CGLObject {
+    lineCap; // "butt", "round" or "square"; how the ends of open paths are drawn
+    lineJoin; // "miter", "round" or "bevel"; how corners are drawn
+    miterLimit; // number; how far mitered corners may extend, as a multiple of half the outline thickness
+    #hitTolerance; // number; extra distance from the stroke which still counts as clicking the path, in pixels
+
+    #commands = []; // array of absolute path commands (see CGLPATH HELPERS)
+    #subpaths = []; // the path flattened into subpaths of points, as [{points, closed}]
+
+    // the default pivot, like CGLPoly's centroid
+    #centroidX = 0; // average of the path's end points, relative to the path's x, y
+    #centroidY = 0; // average of the path's end points, relative to the path's x, y
+
+    static #CURVE_SEGMENTS = 16; // number of line segments used to approximate each curve for hit testing and collisions
+
+    // path: SVG path data string or array of path commands, ie. [["M", 0, 0], ["Q", 50, 50, 100, 0]]
+    constructor(x=null, y=null, path=[], options={}) {
+        super(x, y, {...options, "outlineDash": options.outlineDash ?? options.dash, "outlineDashOffset": options.outlineDashOffset ?? options.dashOffset});
+
+        this.lineCap = options.lineCap ?? "butt";
+        this.lineJoin = options.lineJoin ?? "miter";
+        this.miterLimit = options.miterLimit ?? 10;
+        this.hitTolerance = options.hitTolerance ?? 0;
+
+        if (!["butt", "round", "square"].includes(this.lineCap))
+            throw new CGLException("Invalid lineCap passed to " + this.constructor.name + " constructor. Expected \"butt\", \"round\" or \"square\", got " + this.lineCap);
+        if (!["miter", "round", "bevel"].includes(this.lineJoin))
+            throw new CGLException("Invalid lineJoin passed to " + this.constructor.name + " constructor. Expected \"miter\", \"round\" or \"bevel\", got " + this.lineJoin);
+
+        this.path = path; // call setter to validate and flatten the path
+    }
+
+    // shallow copy commands on return to prevent reference modification
+    get path() {  return this.#commands.map(command => [...command]);  }
+    set path(p) {
+        const commands = p?.constructor === String ? __cglParseSVGPath(p) : p;
+        if (commands === null || commands === undefined || commands.constructor !== Array)
+            throw new CGLException("Invalid path passed to " + this.constructor.name + ". Expected SVG path data or array of path commands.");
+
+        // sanitize commands
+        commands.forEach((command, i) => {
+            if (command?.constructor !== Array || !(command[0] in __cglPathArgCounts) || command.length !== __cglPathArgCounts[command[0]] + 1)
+                throw new CGLException("Invalid path command at index " + i + ". Expected [\"M\" | \"L\" | \"Q\" | \"C\" | \"Z\", ...coordinates].");
+            if (command.slice(1).some(n => n === null || n.constructor !== Number))
+                throw new CGLException("Invalid path command at index " + i + ". Coordinates must be numbers.");
+        });
+        if (commands.length > 0 && commands[0][0] !== "M")
+            throw new CGLException("Invalid path: paths must start with a move (\"M\") command.");
+
+        this.#commands = commands.map(command => [...command]); // shallow copy
+        this.#flatten();
+        this.__moved();
+    }
+
+    // aliases of outlineDash and outlineDashOffset
+    get dash() {  return this.outlineDash;  }
+    set dash(d) {  this.outlineDash = d;  }
+    get dashOffset() {  return this.outlineDashOffset;  }
+    set dashOffset(n) {  this.outlineDashOffset = n;  }
+
+    // the tolerance widens the area filed in the canvas' spatial index, so it's re-filed when it changes
+    get hitTolerance() {  return this.#hitTolerance;  }
+    set hitTolerance(n) {  this.#hitTolerance = n; this.__moved();  }
+
+    // the tolerance is in local pixels, so it's scaled by this path and every group containing it
+    __getHitPadding() {
+        let pad = this.#hitTolerance;
+        for (let obj = this; obj !== null; obj = obj.parent) pad *= Math.max(Math.abs(obj.scaleX), Math.abs(obj.scaleY));
+        return pad;
+    }
+
+    // chainable path builders, ie. path.moveTo(0, 0).lineTo(10, 10)
+    moveTo(x, y) {  return this.#append(["M", x, y]);  }
+    lineTo(x, y) {  return this.#append(["L", x, y]);  }
+    quadraticCurveTo(cx, cy, x, y) {  return this.#append(["Q", cx, cy, x, y]);  }
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {  return this.#append(["C", c1x, c1y, c2x, c2y, x, y]);  }
+    closePath() {  return this.#append(["Z"]);  }
+
+    #append(command) {
+        this.path = [...this.#commands, command];
+        return this;
+    }
+
+    // approximates the curves with line segments and finds the pivot
+    #flatten() {
+        const subpaths = [], ends = [];
+        const segments = CGLPath.#CURVE_SEGMENTS;
+        let current = null, start = null;
+
+        for (let [type, ...args] of this.#commands) {
+            // commands after a close continue from the start of the closed subpath
+            if (type !== "M" && current === null) {
+                current = {"points": [[...start]], "closed": false};
+                subpaths.push(current);
+            }
+
+            const [x0, y0] = current?.points[current.points.length-1] ?? [0, 0];
+            if (type === "M") {
+                current = {"points": [[args[0], args[1]]], "closed": false};
+                start = [args[0], args[1]];
+                subpaths.push(current);
+            } else if (type === "L") {
+                current.points.push([args[0], args[1]]);
+            } else if (type === "Q") {
+                const [cx, cy, x, y] = args;
+                for (let i = 1; i <= segments; i++) {
+                    const t = i / segments, u = 1 - t;
+                    current.points.push([u*u*x0 + 2*u*t*cx + t*t*x, u*u*y0 + 2*u*t*cy + t*t*y]);
+                }
+            } else if (type === "C") {
+                const [c1x, c1y, c2x, c2y, x, y] = args;
+                for (let i = 1; i <= segments; i++) {
+                    const t = i / segments, u = 1 - t;
+                    current.points.push([u*u*u*x0 + 3*u*u*t*c1x + 3*u*t*t*c2x + t*t*t*x, u*u*u*y0 + 3*u*u*t*c1y + 3*u*t*t*c2y + t*t*t*y]);
+                }
+            } else if (type === "Z") {
+                current.closed = true;
+                current = null;
+            }
+
+            if (type !== "Z") ends.push(args.slice(-2));
+        }
+
+        this.#subpaths = subpaths;
+        this.#centroidX = ends.reduce((sum, p) => sum + p[0], 0) / Math.max(1, ends.length);
+        this.#centroidY = ends.reduce((sum, p) => sum + p[1], 0) / Math.max(1, ends.length);
+    }
+
+    __draw(ctx) {
+        ctx.save();
+
+        ctx.lineCap = this.lineCap;
+        ctx.lineJoin = this.lineJoin;
+        ctx.miterLimit = this.miterLimit;
+
+        ctx.beginPath();
+        for (let [type, ...args] of this.#commands) {
+            if (type === "M") ctx.moveTo(...args);
+            else if (type === "L") ctx.lineTo(...args);
+            else if (type === "Q") ctx.quadraticCurveTo(...args);
+            else if (type === "C") ctx.bezierCurveTo(...args);
+            else ctx.closePath();
+        }
+
+        if (this.fillColor !== "transparent") ctx.fill();
+        if (this.outlineColor !== "transparent") ctx.stroke();
+
+        ctx.restore();
+    }
+
+    __getDefaultPivot() {  return {"x": this.#centroidX, "y": this.#centroidY};  }
+
+    __getLocalShape() {
+        // pad each point by half the stroke so straight lines still have an area
+        const pad = Math.max(this.outlineThickness, 1) / 2;
+        const points = [];
+        const subpaths = this.#subpaths.length > 0 ? this.#subpaths : [{"points": [[0, 0]]}]; // empty paths are a point at their origin
+        for (let {points: subpath} of subpaths)
+            for (let [px, py] of subpath)
+                points.push([px - pad, py - pad], [px + pad, py - pad], [px + pad, py + pad], [px - pad, py + pad]);
+
+        return {"type": "poly", "points": __cglConvexHull(points)};
+    }
+
+    __containsLocalPoint(x, y) {
+        const reach = (this.outlineColor === "transparent" ? 0 : this.outlineThickness / 2) + this.hitTolerance;
+        let isInFill = false;
+
+        for (let {points, closed} of this.#subpaths) {
+            // check the distance from the stroke
+            const stroke = closed ? [...points, points[0]] : points;
+            if (stroke.length === 1 && Math.hypot(x - stroke[0][0], y - stroke[0][1]) <= reach) return true;
+            for (let i = 1; i < stroke.length; i++)
+                if (__cglDistToSegment(x, y, stroke[i-1], stroke[i]) <= reach) return true;
+
+            // check inside the fill, which always closes the subpath (even-odd, like CGLPoly)
+            if (this.fillColor === "transparent") continue;
+            for (let i = 0, j = points.length-1; i < points.length; j = i++) {
+                if (((points[i][1] > y) !== (points[j][1] > y)) && (x < (points[j][0] - points[i][0]) * (y - points[i][1]) / (points[j][1] - points[i][1]) + points[i][0]))
+                    isInFill = !isInFill;
+            }
+        }
+
+        return isInFill;
+    }
+}
+
+// open (or optionally closed) path through a series of vertices
+class CGLPolyline extends CGLPath {
+    #vertices; // array of 2+ vertices, each as an array of 2 numbers in the format [x, y]
+    #closed; // boolean; whether the last vertex connects back to the first
+
+    // options: {closed: boolean}
+    constructor(x=null, y=null, vertices=null, options={}) {
+        super(x, y, [], options);
+        this.#closed = options.closed ?? false;
+        this.vertices = vertices; // call setter to validate vertices and build the path
+    }
+
+    // shallow copy vertices on return to prevent reference modification
+    get vertices() {  return this.#vertices.map(arr => [...arr]);  }
+    set vertices(v) {
+        // check parameters
+        if (v === null || v.constructor !== Array || v.length < 2)
+            throw new CGLException("Invalid parameter passed to " + this.constructor.name + " vertices. Parameter vertices array must have at least >=2 vertices.");
+
+        // sanitize vertices
+        v.forEach(n => {
+            if (n?.length !== 2 || n[0]?.constructor !== Number || n[1]?.constructor !== Number)
+                throw new CGLException("Invalid argument: vertices must each be an array of 2 numbers in the format [x, y].");
+        });
+
+        this.#vertices = v.map(arr => [...arr]); // shallow copy
+        this.#rebuild();
+    }
+
+    get closed() {  return this.#closed;  }
+    set closed(c) {
+        this.#closed = Boolean(c);
+        this.#rebuild();
+    }
+
+    #rebuild() {
+        const commands = this.#vertices.map(([x, y], i) => [i === 0 ? "M" : "L", x, y]);
+        if (this.#closed) commands.push(["Z"]);
+        this.path = commands;
+    }
+}
+
+// straight line between two points; x, y is the start point
+class CGLLine extends CGLPolyline {
+    constructor(x1=null, y1=null, x2=null, y2=null, options={}) {
+        if (x2 === null || x2.constructor !== Number)
+            throw new CGLException("Invalid x2-coordinate passed to CGLLine constructor. Expected number, got " + (x2 === null ? "null" : x2.constructor.name));
+        if (y2 === null || y2.constructor !== Number)
+            throw new CGLException("Invalid y2-coordinate passed to CGLLine constructor. Expected number, got " + (y2 === null ? "null" : y2.constructor.name));
+
+        // otherwise, passthrough to CGLPolyline relative to the start point
+        super(x1, y1, [[0, 0], [x2 - x1, y2 - y1]], options);
+    }
+
+    // the end point of the line, in its parent's coordinates (ignoring rotation)
+    get x2() {  return this.x + this.vertices[1][0];  }
+    set x2(x) {  this.vertices = [[0, 0], [x - this.x, this.vertices[1][1]]];  }
+    get y2() {  return this.y + this.vertices[1][1];  }
+    set y2(y) {  this.vertices = [[0, 0], [this.vertices[1][0], y - this.y]];  }
+
+    get length() {  return Math.hypot(...this.vertices[1]);  }
+}
+
+/****************** END CGLOBJECT CLASS ******************/
+/****************** START CGLPARTICLEEMITTER CLASS ******************/
+
+// returns a random number between min and max for [min, max] ranges, or the number itself
+const __cglRandomRange = (range) => range.constructor === Array ? range[0] + Math.random() * (range[1] - range[0]) : range;
+
+// samples a curve at t from 0 to 1, where a curve is a single value or an array of values spread evenly from 0 to 1
+// lerp: (from, to, t) => the value between from and to
+const __cglSampleCurve = (curve, t, lerp) => {
+    if (curve.constructor !== Array) return curve;
+    if (curve.length === 1) return curve[0];
+
+    const position = Math.min(1, Math.max(0, t)) * (curve.length - 1);
+    const i = Math.min(Math.floor(position), curve.length - 2);
+    return lerp(curve[i], curve[i + 1], position - i);
+};
+
+const __cglLerpNumber = (from, to, t) => from + (to - from) * t;
+
+// emits, moves and draws many short-lived particles as a single object, ie. for explosions, smoke and sparks
+// particles aren't CGLObjects: they're drawn in one batch, and are never hit tested or collided with
+class CGLParticleEmitter extends CGLObject {
+    // emission
+    rate; // non-negative number; particles emitted per second while emitting
+    bursts; // array of {time, count}; extra particles emitted at once, time ms after emission starts
+    duration; // number; ms after emission starts that it stops, or null to emit until stop() is called
+    maxParticles; // positive integer; the most particles alive at once, any more aren't emitted
+    localSpace; // boolean; whether particles move with the emitter, or stay where they were emitted (in the parent's coordinates)
+
+    // each particle takes a random value from ranges, given as [min, max] or an exact number
+    lifetime; // number or range; how long each particle lives, in ms
+    speed; // number or range; the speed particles are emitted at, in px/s
+    angle; // number; the direction particles are emitted in, in degrees clockwise from the emitter's x-axis (ie. -90 is up)
+    spread; // number; the angle particles are randomly spread over about their direction, in degrees
+    gravity; // {x, y}; the acceleration of every particle, in px/s/s
+    drag; // non-negative number; the fraction of its velocity each particle loses per second
+
+    // curves are a single value, or an array of values spread evenly over each particle's life
+    size; // number or curve; the diameter of each particle, in pixels
+    color; // CSS color or curve of CSS colors; the color of shape particles
+    alpha; // number or curve from 0 to 1; the opacity of each particle, multiplied by the emitter's opacity
+    shape; // "circle", "square" or "image"
+
+    #src = null; // the CGLAssets key or path of the image drawn for image particles
+    #img = null; // the HTMLImageElement drawn for image particles
+
+    #particles = []; // the live particles, as {x, y, vx, vy, age, lifetime}
+    #pool = []; // dead particles, reused by the next particles emitted
+    #isEmitting; // boolean; whether particles are emitted over time
+    #time = 0; // ms since emission started
+    #owed = 0; // the fraction of a particle waiting to be emitted at the current rate
+    #colorKey = null; // the color curve #colors were parsed from
+    #colors = []; // the parsed [r, g, b, a] colors of the color curve
+
+    // options: {rate, bursts, duration, maxParticles, localSpace, lifetime, speed, angle, spread, gravity, drag,
+    //           size, color, alpha, shape, src, autoplay} (see above), plus those of CGLObject
+    constructor(x=null, y=null, options={}) {
+        // emitters are only hit by their particles' bounds when given a collision layer
+        super(x, y, {"ignoreClicks": true, "collisionLayer": 0, ...options});
+
+        this.rate = options.rate ?? 20;
+        this.bursts = options.bursts ?? [];
+        this.duration = options.duration ?? null;
+        this.maxParticles = options.maxParticles ?? 500;
+        this.localSpace = options.localSpace ?? true;
+        this.lifetime = options.lifetime ?? 1000;
+        this.speed = options.speed ?? 50;
+        this.angle = options.angle ?? -90;
+        this.spread = options.spread ?? 30;
+        this.gravity = options.gravity ?? {"x": 0, "y": 0};
+        this.drag = options.drag ?? 0;
+        this.size = options.size ?? 4;
+        this.color = options.color ?? "black";
+        this.alpha = options.alpha ?? 1;
+        this.shape = options.shape ?? (options.src !== undefined ? "image" : "circle");
+        if (options.src !== undefined) this.src = options.src;
+
+        // check settings
+        const isRange = (r) => r !== null && (r.constructor === Number || (r.constructor === Array && r.length === 2 && r.every(n => n?.constructor === Number)));
+        const isCurve = (c) => c !== null && (c.constructor === Number || (c.constructor === Array && c.length > 0 && c.every(n => n?.constructor === Number)));
+
+        if (this.rate === null || this.rate.constructor !== Number || this.rate < 0)
+            throw new CGLException("Invalid rate passed to CGLParticleEmitter constructor. Rate must be a non-negative number.");
+        if (this.bursts === null || this.bursts.constructor !== Array || this.bursts.some(b => b?.time?.constructor !== Number || b?.count?.constructor !== Number))
+            throw new CGLException("Invalid bursts passed to CGLParticleEmitter constructor. Expected array of {time, count}.");
+        if (this.duration !== null && (this.duration.constructor !== Number || this.duration < 0))
+            throw new CGLException("Invalid duration passed to CGLParticleEmitter constructor. Expected null or a non-negative number.");
+        if (this.maxParticles === null || !Number.isInteger(this.maxParticles) || this.maxParticles <= 0)
+            throw new CGLException("Invalid maxParticles passed to CGLParticleEmitter constructor. Expected positive integer.");
+        if (!isRange(this.lifetime) || !isRange(this.speed))
+            throw new CGLException("Invalid lifetime or speed passed to CGLParticleEmitter constructor. Expected number or [min, max].");
+        if (this.gravity?.x?.constructor !== Number || this.gravity?.y?.constructor !== Number)
+            throw new CGLException("Invalid gravity passed to CGLParticleEmitter constructor. Expected {x, y}.");
+        if (!isCurve(this.size) || !isCurve(this.alpha))
+            throw new CGLException("Invalid size or alpha passed to CGLParticleEmitter constructor. Expected number or non-empty array of numbers.");
+        if (this.color === null || (this.color.constructor !== String && (this.color.constructor !== Array || this.color.length === 0)))
+            throw new CGLException("Invalid color passed to CGLParticleEmitter constructor. Expected CSS color or non-empty array of CSS colors.");
+        if (!["circle", "square", "image"].includes(this.shape))
+            throw new CGLException("Invalid shape passed to CGLParticleEmitter constructor. Expected \"circle\", \"square\" or \"image\", got " + this.shape);
+        if (this.shape === "image" && this.#src === null)
+            throw new CGLException("Image particles need an image: pass src to the CGLParticleEmitter constructor.");
+
+        this.#isEmitting = options.autoplay ?? true;
+    }
+
+    // the image URL or CGLAssets key drawn for image particles
+    get src() {  return this.#src;  }
+    set src(s) {
+        if (s === null || s.constructor !== String || s === "")
+            throw new CGLException("Invalid image URL passed to CGLParticleEmitter. Image path must be a non-empty string.");
+        this.#src = s;
+        this.#img = CGLAssets.image(s); // cached by CGLAssets
+    }
+
+    get isEmitting() {  return this.#isEmitting;  }
+    get particleCount() {  return this.#particles.length;  }
+
+    // starts emitting from the beginning of the duration and bursts
+    start() {
+        this.#isEmitting = true;
+        this.#time = 0;
+        this.#owed = 0;
+    }
+
+    // stops emitting, letting the live particles finish their lives
+    stop() {  this.#isEmitting = false;  }
+
+    // emits a number of particles at once
+    burst(count=null) {
+        if (count === null || count.constructor !== Number || count < 0)
+            throw new CGLException("Invalid burst count: expected non-negative number.");
+        this.#emit(Math.floor(count));
+    }
+
+    // removes every live particle
+    clear() {
+        this.#pool.push(...this.#particles);
+        this.#particles = [];
+        this.__moved();
+    }
+
+    __isAnimating() {  return super.__isAnimating() || this.#isEmitting || this.#particles.length > 0;  }
+
+    // emits particles from the emitter's origin, unless the pool is full
+    #emit(count) {
+        count = Math.min(count, this.maxParticles - this.#particles.length);
+        if (count <= 0) return;
+
+        // particles emitted in the parent's coordinates start at the emitter's origin, pointing the same way as it
+        const [x, y] = this.localSpace ? [0, 0] : this.__localToParent(0, 0);
+        const rotation = this.localSpace ? 0 : this.rotation;
+        this.__moved();
+
+        for (let i = 0; i < count; i++) {
+            const angle = -(this.angle + rotation + (Math.random() - 0.5) * this.spread) * Math.PI / 180;
+            const speed = __cglRandomRange(this.speed);
+
+            const particle = this.#pool.pop() ?? {};
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.age = 0;
+            particle.lifetime = __cglRandomRange(this.lifetime);
+            this.#particles.push(particle);
+        }
+    }
+
+    // override __move
+    __move(frameGap) {
+        super.__move(frameGap);
+        if (this.#particles.length > 0) this.__moved(); // the bounds follow the particles
+
+        // age and move particles, returning dead ones to the pool while keeping the rest in order
+        const drag = Math.max(0, 1 - this.drag * frameGap);
+        let alive = 0;
+        for (let particle of this.#particles) {
+            particle.age += frameGap * 1000;
+            if (particle.age >= particle.lifetime) {
+                this.#pool.push(particle);
+                continue;
+            }
+
+            particle.vx = (particle.vx + this.gravity.x * frameGap) * drag;
+            particle.vy = (particle.vy + this.gravity.y * frameGap) * drag;
+            particle.x += particle.vx * frameGap;
+            particle.y += particle.vy * frameGap;
+            this.#particles[alive++] = particle;
+        }
+        this.#particles.length = alive;
+
+        if (!this.#isEmitting) return;
+
+        // emit any bursts due this frame, then particles at the rate
+        const time = this.#time;
+        this.#time += frameGap * 1000;
+        this.bursts.forEach(b => b.time >= time && b.time < this.#time && this.burst(b.count));
+
+        this.#owed += this.rate * frameGap;
+        const count = Math.floor(this.#owed);
+        this.#owed -= count;
+        this.#emit(count);
+
+        if (this.duration !== null && this.#time >= this.duration) this.#isEmitting = false;
+    }
+
+    // the color of a particle at t through its life
+    #colorAt(t) {
+        if (this.color.constructor !== Array) return this.color;
+        if (this.color.length === 1) return this.color[0];
+        return __cglSampleCurve(this.#colors, t, __cglLerpColor);
+    }
+
+    // parses the color curve, only when it changes (called once per draw rather than per particle)
+    #parseColors() {
+        if (this.color.constructor !== Array) return;
+
+        const key = this.color.join("|");
+        if (key === this.#colorKey) return;
+        this.#colorKey = key;
+        this.#colors = this.color.map(c => __cglParseColor(c) ?? (cglWarn("Couldn't parse particle color " + c + ", using black."), [0, 0, 0, 1]));
+    }
+
+    // draws every particle in one pass
+    __draw(ctx) {
+        if (this.#particles.length === 0) return;
+        this.#parseColors();
+
+        // undo the emitter's transform for particles in the parent's coordinates
+        if (!this.localSpace) {
+            if (this.scaleX === 0 || this.scaleY === 0) return;
+
+            const pivot = this.__getPivot();
+            ctx.translate(pivot.x, pivot.y);
+            ctx.scale(1 / (this.scaleX * (this.flipX ? -1 : 1)), 1 / (this.scaleY * (this.flipY ? -1 : 1)));
+            ctx.rotate(this.rotation * Math.PI / 180);
+            ctx.translate(-this.x - pivot.x, -this.y - pivot.y);
+        }
+
+        // skip images which haven't loaded yet (or failed to load)
+        const isImage = this.shape === "image";
+        if (isImage && (!this.#img.complete || this.#img.naturalWidth === 0)) return;
+
+        // un-flip so images aren't upside down
+        if (isImage) ctx.scale(1, -1);
+
+        const alpha = ctx.globalAlpha;
+        for (let particle of this.#particles) {
+            const t = particle.age / particle.lifetime;
+            const size = __cglSampleCurve(this.size, t, __cglLerpNumber);
+            const opacity = __cglSampleCurve(this.alpha, t, __cglLerpNumber);
+            if (size <= 0 || opacity <= 0) continue;
+
+            ctx.globalAlpha = alpha * opacity;
+            if (isImage) {
+                ctx.drawImage(this.#img, particle.x - size/2, -particle.y - size/2, size, size);
+                continue;
+            }
+
+            ctx.fillStyle = this.#colorAt(t);
+            if (this.shape === "square") {
+                ctx.fillRect(particle.x - size/2, particle.y - size/2, size, size);
+            } else {
+                ctx.beginPath();
+                ctx.arc(particle.x, particle.y, size/2, 0, 2*Math.PI);
+                ctx.fill();
+            }
+        }
+    }
+
+    // particles are never hit
+    __hitTest(x, y) {  return null;  }
+    __containsLocalPoint(x, y) {  return false;  }
+    __getHitOutline() {  return [];  }
+
+    // the box around every live particle, so the emitter is culled and redrawn where its particles are
+    __getLocalShape() {
+        if (this.#particles.length === 0) return {"type": "poly", "points": [[0, 0], [0, 0], [0, 0], [0, 0]]};
+
+        const radius = (this.size.constructor === Array ? Math.max(...this.size) : this.size) / 2;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let {x, y} of this.#particles) {
+            minX = Math.min(minX, x - radius), maxX = Math.max(maxX, x + radius);
+            minY = Math.min(minY, y - radius), maxY = Math.max(maxY, y + radius);
+        }
+
+        const points = [[minX, minY], [minX, maxY], [maxX, maxY], [maxX, minY]];
+        return {"type": "poly", "points": this.localSpace ? points : points.map(([x, y]) => this.__parentToLocal(x, y))};
+    }
+}
+
+/****************** END CGLPARTICLEEMITTER CLASS ******************/
+/****************** START CGLTILEMAP CLASS ******************/
+
+// a grid of tiles drawn from a tileset, with layers of tiles drawn bottom to top
+// tile IDs are the frame indices of the tileset, or -1 for no tile; rows are numbered from the top of the map
+class CGLTileMap extends CGLObject {
+    #tileset; // the CGLSpriteSheet the tiles are drawn from
+    #frames; // the tileset's frames, indexed by tile ID
+    #tileWidth; // number; the width of each tile, in pixels
+    #tileHeight; // number; the height of each tile, in pixels
+    #columns; // integer; the number of tiles in each row
+    #rows; // integer; the number of rows of tiles
+    #layers = []; // the tile layers from bottom to top, as {name, isVisible, opacity}
+    #tiles = new Map(); // maps each layer's name to its rows of tile IDs
+    #solid = new Set(); // the IDs of solid tiles
+
+    // tileset: a CGLSpriteSheet (ie. from CGLSpriteSheet.grid) whose frames are the tiles
+    // tiles: array of rows of tile IDs for the first layer, from the top row down
+    // options: {tileWidth, tileHeight (defaulting to the size of the first tile), solidTiles (array of IDs), layerName}, plus those of CGLObject
+    constructor(x=null, y=null, tileset=null, tiles=null, options={}) {
+        // tilemaps only collide when given a collision layer, since they usually cover everything
+        super(x, y, {"collisionLayer": 0, ...options});
+
+        if (tileset === null || !(tileset instanceof CGLSpriteSheet))
+            throw new CGLException("Invalid tileset passed to CGLTileMap constructor. Expected CGLSpriteSheet, got " + (tileset === null ? null : tileset?.constructor.name));
+        if (tiles === null || tiles.constructor !== Array || tiles.length === 0 || tiles[0]?.constructor !== Array || tiles[0].length === 0)
+            throw new CGLException("Invalid tiles passed to CGLTileMap constructor. Expected non-empty array of rows of tile IDs.");
+
+        this.#tileset = tileset;
+        this.#frames = tileset.frames;
+        this.#tileWidth = options.tileWidth ?? this.#frames[0].width;
+        this.#tileHeight = options.tileHeight ?? this.#frames[0].height;
+        this.#columns = tiles[0].length;
+        this.#rows = tiles.length;
+
+        if (this.#tileWidth === null || this.#tileWidth.constructor !== Number || this.#tileWidth <= 0 || this.#tileHeight === null || this.#tileHeight.constructor !== Number || this.#tileHeight <= 0)
+            throw new CGLException("Invalid tile size passed to CGLTileMap constructor. Tile width and height must be positive numbers.");
+
+        this.addTileLayer(options.layerName ?? "default", tiles);
+        (options.solidTiles ?? []).forEach(id => this.setSolid(id));
+    }
+
+    // creates a tilemap from a map exported by Tiled as JSON, with one tileset and any number of tile layers
+    // tiles with a "solid" or "collides" property are solid, and flipped or rotated tiles are drawn unflipped
+    // options: {image (the tileset image, since Tiled's path is relative to the map), tileset (the parsed JSON of an external tileset)}, plus those of CGLTileMap
+    static fromTiled(x=null, y=null, map=null, options={}) {
+        if (map === null || map.constructor !== Object)
+            throw new CGLException("Invalid map passed to CGLTileMap.fromTiled. Expected a parsed JSON object.");
+        if (map.infinite)
+            throw new CGLException("Infinite Tiled maps aren't supported by CGLTileMap.fromTiled. Export the map with a fixed size.");
+        if ((map.orientation ?? "orthogonal") !== "orthogonal")
+            throw new CGLException("Only orthogonal Tiled maps are supported by CGLTileMap.fromTiled, got " + map.orientation);
+        if (map.tilesets?.length !== 1)
+            throw new CGLException("CGLTileMap.fromTiled only supports maps with one tileset, got " + (map.tilesets?.length ?? 0));
+
+        // external tilesets only store their source in the map
+        const tileset = {...map.tilesets[0], ...(options.tileset ?? {})};
+        const image = options.image ?? tileset.image;
+        if (image === undefined || tileset.tilewidth === undefined || tileset.columns === undefined)
+            throw new CGLException("Missing tileset for Tiled map. Pass the tileset's JSON as options.tileset and its image as options.image.");
+
+        const sheet = CGLSpriteSheet.grid(image, tileset.tilewidth, tileset.tileheight, {
+            "columns": tileset.columns, "rows": Math.ceil(tileset.tilecount / tileset.columns), "count": tileset.tilecount,
+            "margin": tileset.margin ?? 0, "spacing": tileset.spacing ?? 0
+        });
+        const solidTiles = (tileset.tiles ?? [])
+            .filter(tile => (tile.properties ?? []).some(p => ["solid", "collides"].includes(p.name) && p.value === true))
+            .map(tile => tile.id);
+
+        // tile layers may be nested in group layers
+        const flatten = (layers) => layers.flatMap(layer => layer.type === "group" ? flatten(layer.layers ?? []) : layer.type === "tilelayer" ? [layer] : []);
+        const layers = flatten(map.layers ?? []);
+        if (layers.length === 0)
+            throw new CGLException("The Tiled map passed to CGLTileMap.fromTiled has no tile layers.");
+
+        // convert each layer's global tile IDs to rows of tileset indices, ignoring the flip flags in the top 3 bits
+        const firstID = map.tilesets[0].firstgid ?? 1;
+        const toRows = (layer) => {
+            if (layer.data?.constructor !== Array)
+                throw new CGLException("Tiled layer \"" + layer.name + "\" isn't stored as an array. Export the map with CSV tile layer format.");
+
+            const rows = [];
+            for (let row = 0; row < layer.height; row++)
+                rows.push(layer.data.slice(row * layer.width, (row + 1) * layer.width).map(id => (id & 0x1FFFFFFF) === 0 ? -1 : (id & 0x1FFFFFFF) - firstID));
+            return rows;
+        };
+
+        const names = layers.map((layer, i) => layers.findIndex(other => other.name === layer.name) === i ? layer.name : layer.name + " " + i);
+        const tileMap = new CGLTileMap(x, y, sheet, toRows(layers[0]), {
+            "tileWidth": map.tilewidth, "tileHeight": map.tileheight, "solidTiles": solidTiles, "layerName": names[0], ...options
+        });
+
+        layers.forEach((layer, i) => {
+            if (i > 0) tileMap.addTileLayer(names[i], toRows(layer));
+            Object.assign(tileMap.getTileLayer(names[i]), {"isVisible": layer.visible ?? true, "opacity": layer.opacity ?? 1});
+        });
+
+        return tileMap;
+    }
+
+    get tileset() {  return this.#tileset;  }
+    get tileWidth() {  return this.#tileWidth;  }
+    get tileHeight() {  return this.#tileHeight;  }
+    get columns() {  return this.#columns;  }
+    get rows() {  return this.#rows;  }
+    get width() {  return this.#columns * this.#tileWidth;  }
+    get height() {  return this.#rows * this.#tileHeight;  }
+
+    // the tile layers from bottom to top, as {name, isVisible, opacity}
+    get tileLayers() {  return [...this.#layers];  }
+    // the IDs of every solid tile
+    get solidTiles() {  return [...this.#solid];  }
+
+    // adds a layer of tiles above the others, the same size as the map
+    // options: {isVisible, opacity}
+    addTileLayer(name=null, tiles=null, options={}) {
+        if (name === null || name.constructor !== String || name === "")
+            throw new CGLException("Invalid tile layer name: expected non-empty string.");
+        if (this.#tiles.has(name))
+            throw new CGLException("The tile layer \"" + name + "\" already exists.");
+        if (tiles === null || tiles.constructor !== Array || tiles.length !== this.#rows || tiles.some(row => row?.constructor !== Array || row.length !== this.#columns))
+            throw new CGLException("Invalid tiles for tile layer \"" + name + "\". Expected " + this.#rows + " rows of " + this.#columns + " tile IDs.");
+
+        tiles.forEach(row => row.forEach(id => this.#checkID(id)));
+
+        const layer = {"name": name, "isVisible": options.isVisible ?? true, "opacity": options.opacity ?? 1};
+        this.#layers.push(layer);
+        this.#tiles.set(name, tiles.map(row => [...row])); // shallow copy
+        this.canvas?.invalidate();
+        return layer;
+    }
+
+    // returns the tile layer {name, isVisible, opacity} with the given name, or null
+    getTileLayer(name) {  return this.#layers.find(layer => layer.name === name) ?? null;  }
+
+    // removes a tile layer, returning true if it existed
+    removeTileLayer(name) {
+        const layer = this.getTileLayer(name);
+        if (layer === null) return false;
+
+        this.#layers.splice(this.#layers.indexOf(layer), 1);
+        this.#tiles.delete(name);
+        this.canvas?.invalidate();
+        return true;
+    }
+
+    // returns the ID of the tile at a column and row, or -1 if there is none
+    // layer: the name of the tile layer, defaulting to the bottom layer
+    getTile(column, row, layer=this.#layers[0]?.name) {
+        return this.#isCell(column, row) ? this.#layerTiles(layer)[row][column] : -1;
+    }
+
+    // changes the tile at a column and row, where id is -1 to remove the tile
+    setTile(column, row, id, layer=this.#layers[0]?.name) {
+        if (!this.#isCell(column, row))
+            throw new CGLException("Invalid tile position: (" + column + ", " + row + ") is outside of the " + this.#columns + "x" + this.#rows + " map.");
+
+        this.#checkID(id);
+        this.#layerTiles(layer)[row][column] = id;
+        this.canvas?.invalidate(); // redraw static layers and dirty regions
+    }
+
+    // marks tiles with the given ID as solid or not
+    setSolid(id, isSolid=true) {
+        this.#checkID(id);
+        if (isSolid) this.#solid.add(id);
+        else this.#solid.delete(id);
+    }
+
+    // returns true if tiles with the given ID are solid
+    isTileSolid(id) {  return this.#solid.has(id);  }
+
+    // returns the tile at a point in world coordinates as {column, row, id, layer, isSolid}, or null outside of the map
+    // id and layer are those of the topmost visible tile (or -1 and null), while isSolid includes hidden layers
+    tileAt(x=null, y=null) {
+        if (x === null || x.constructor !== Number || y === null || y.constructor !== Number)
+            throw new CGLException("Invalid point passed to tileAt. Expected x and y numbers.");
+
+        const point = this.worldToLocal(x, y);
+        const column = Math.floor(point.x / this.#tileWidth), row = this.#rows - 1 - Math.floor(point.y / this.#tileHeight);
+        return this.#isCell(column, row) ? this.#describeTile(column, row) : null;
+    }
+
+    // returns true if any solid tile overlaps a rectangle in world coordinates (from the bottom-left), or a CGLObject's bounds
+    // rectangles which only touch the edge of a tile don't overlap it
+    isBlocked(x=null, y=null, width=0, height=0) {
+        if (x instanceof CGLObject) ({x, y, width, height} = x.getBounds());
+        if ([x, y, width, height].some(n => n === null || n.constructor !== Number))
+            throw new CGLException("Invalid rectangle passed to isBlocked. Expected x, y, width and height numbers, or a CGLObject.");
+
+        const {minColumn, maxColumn, minRow, maxRow} = this.#cellsIn([[x, y], [x + width, y], [x + width, y + height], [x, y + height]]);
+        for (let row = minRow; row <= maxRow; row++)
+            for (let column = minColumn; column <= maxColumn; column++)
+                if (this.#isSolidCell(column, row)) return true;
+
+        return false;
+    }
+
+    // adds the tile under the pointer to pointer events, as event.tile
+    __pointerDetails(x, y) {  return {"tile": this.tileAt(x, y)};  }
+
+    #isCell(column, row) {
+        return Number.isInteger(column) && Number.isInteger(row) && column >= 0 && row >= 0 && column < this.#columns && row < this.#rows;
+    }
+
+    #checkID(id) {
+        if (id === null || !Number.isInteger(id) || id < -1 || id >= this.#frames.length)
+            throw new CGLException("Invalid tile ID: expected -1 or an integer between 0 and " + (this.#frames.length - 1) + ", got " + id);
+    }
+
+    #layerTiles(name) {
+        if (!this.#tiles.has(name))
+            throw new CGLException("Invalid tile layer: " + name);
+        return this.#tiles.get(name);
+    }
+
+    #isSolidCell(column, row) {  return this.#layers.some(layer => this.#solid.has(this.#tiles.get(layer.name)[row][column]));  }
+
+    #describeTile(column, row) {
+        const layer = this.#layers.findLast(layer => layer.isVisible && this.#tiles.get(layer.name)[row][column] !== -1) ?? null;
+        return {
+            "column": column, "row": row, "id": layer === null ? -1 : this.#tiles.get(layer.name)[row][column],
+            "layer": layer?.name ?? null, "isSolid": this.#isSolidCell(column, row)
+        };
+    }
+
+    // returns the range of cells overlapping the bounding box of world points, clamped to the map
+    #cellsIn(points) {
+        const {minX, minY, maxX, maxY} = __cglShapeBounds({"type": "poly", "points": points.map(([x, y]) => {
+            const point = this.worldToLocal(x, y);
+            return [point.x, point.y];
+        })});
+
+        // rows are numbered from the top, so the bottom of the box is the last row
+        const minColumn = Math.floor(minX / this.#tileWidth), bottom = Math.floor(minY / this.#tileHeight);
+        const maxColumn = Math.max(minColumn, Math.ceil(maxX / this.#tileWidth) - 1), top = Math.max(bottom, Math.ceil(maxY / this.#tileHeight) - 1);
+        return {
+            "minColumn": Math.max(0, minColumn), "maxColumn": Math.min(this.#columns - 1, maxColumn),
+            "minRow": Math.max(0, this.#rows - 1 - top), "maxRow": Math.min(this.#rows - 1, this.#rows - 1 - bottom)
+        };
+    }
+
+    // only draws the tiles on screen
+    __draw(ctx) {
+        const image = this.#tileset.image;
+        if (!image.complete || image.naturalWidth === 0) return;
+
+        // draw every tile when the map isn't on a canvas
+        const canvas = this.canvas;
+        const {minColumn, maxColumn, minRow, maxRow} = canvas === null
+            ? {"minColumn": 0, "maxColumn": this.#columns - 1, "minRow": 0, "maxRow": this.#rows - 1}
+            : this.#cellsIn([[0, 0], [canvas.width, 0], [canvas.width, canvas.height], [0, canvas.height]].map(([x, y]) => {
+                const point = canvas.screenToWorld(x, y);
+                return [point.x, point.y];
+            }));
+
+        // un-flip so the tiles aren't upside down, where the top of the map is at y = -height
+        ctx.scale(1, -1);
+
+        const alpha = ctx.globalAlpha;
+        for (let layer of this.#layers) {
+            if (!layer.isVisible || layer.opacity <= 0) continue;
+
+            ctx.globalAlpha = alpha * layer.opacity;
+            const tiles = this.#tiles.get(layer.name);
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    const id = tiles[row][column];
+                    if (id === -1) continue;
+
+                    const frame = this.#frames[id];
+                    ctx.drawImage(image, frame.x, frame.y, frame.width, frame.height,
+                                  column * this.#tileWidth, (row - this.#rows) * this.#tileHeight, this.#tileWidth, this.#tileHeight);
+                }
+            }
+        }
+    }
+
+    __containsLocalPoint(x, y) {  return x >= 0 && y >= 0 && x <= this.width && y <= this.height;  }
+
+    __getLocalShape() {
+        return {"type": "poly", "points": [[0, 0], [0, this.height], [this.width, this.height], [this.width, 0]]};
+    }
+}
+
+/****************** END CGLTILEMAP CLASS ******************/
+/****************** START CGLWIDGET CLASSES ******************/
+
+// mixes a CSS color toward another parsed color, leaving gradients, patterns and transparent colors as they are
+const __cglShadeColor = (color, target, amount) => {
+    const parsed = __cglParseColor(color);
+    return parsed === null || parsed[3] === 0 ? color : __cglLerpColor(parsed, target, amount);
+};
+
+// abstract class for UI controls drawn on the canvas, with hover, pressed and disabled states and keyboard focus
+// widgets are themed with fillColor, outlineColor and cursor, plus the textColor, accentColor and font of their labels
+class CGLWidget extends CGLRect {
+    isEnabled; // boolean; whether the widget responds to pointers and keys, drawn in the "disabled" state when false
+    tabIndex; // integer; the widget's position in tab order (0 for the order they're drawn in), or -1 to never take focus
+    states; // the colors of each state other than "normal", as {hover, pressed, disabled: {fillColor, outlineColor, textColor}}
+    textColor; // CSS color, CGLGradient or CGLPattern; the color of labels and text
+    accentColor; // CSS color; the color of checks, filled slider tracks, carets and the focus ring
+    font; // string; CSS font family of labels and text
+    fontSize; // number; font size of labels and text, in pixels
+
+    #drawnKey = null; // the appearance the widget was last drawn with, to redraw it when that changes
+
+    // events which aren't raised on disabled widgets
+    static #POINTER_EVENTS = ["click", "mousedown", "mouseup", "dragstart", "drag", "dragend"];
+
+    constructor(x=null, y=null, width=null, height=null, options={}) {
+        if (new.target === CGLWidget)
+            throw new CGLException("Cannot directly instantiate CGLWidget class, only subclasses.");
+
+        super(x, y, width, height, {...options, "fillColor": options.fillColor ?? "#e8e8e8", "outlineColor": options.outlineColor ?? "#767676",
+                                    "cursor": options.cursor ?? "pointer"});
+        this.__registerEvents("change", "focus", "blur");
+
+        this.isEnabled = options.isEnabled ?? true;
+        this.tabIndex = options.tabIndex ?? 0;
+        this.states = options.states ?? {};
+        this.textColor = options.textColor ?? "black";
+        this.accentColor = options.accentColor ?? "#2f6fdf";
+        this.font = options.font ?? "sans-serif";
+        this.fontSize = options.fontSize ?? 14;
+
+        if (this.tabIndex === null || !Number.isInteger(this.tabIndex))
+            throw new CGLException("Invalid tabIndex passed to " + new.target.name + " constructor. Expected integer.");
+        if (this.states === null || this.states.constructor !== Object)
+            throw new CGLException("Invalid states passed to " + new.target.name + " constructor. Expected {hover, pressed, disabled} colors.");
+        if (this.fontSize === null || this.fontSize.constructor !== Number || this.fontSize <= 0)
+            throw new CGLException("Invalid fontSize passed to " + new.target.name + " constructor. Font size must be a positive number.");
+    }
+
+    // "normal", "hover", "pressed" or "disabled"
+    get state() {
+        if (!this.isEnabled) return "disabled";
+        if (this.canvas?.__isPressed(this)) return "pressed";
+        if (this.canvas?.__isHovered(this)) return "hover";
+        return "normal";
+    }
+
+    get isFocused() {  return this.canvas !== null && this.canvas.focused === this;  }
+
+    // gives or removes keyboard focus
+    focus() {
+        if (this.canvas === null)
+            throw new CGLException("Cannot focus " + this.constructor.name + ": the widget is not on a canvas.");
+        this.canvas.focus(this);
+    }
+    blur() {
+        if (this.isFocused) this.canvas.focus(null);
+    }
+
+    // returns true if the widget can take keyboard focus
+    __isFocusable() {
+        if (!this.isEnabled || this.tabIndex < 0 || !this.isVisible) return false;
+        for (let group = this.parent; group !== null; group = group.parent)
+            if (!group.isVisible) return false;
+        return true;
+    }
+
+    // disabled widgets ignore pointer input, and enabled widgets react to it before any listeners are called
+    __handleEvent(eventName, canvas, ...args) {
+        if (CGLWidget.#POINTER_EVENTS.includes(eventName)) {
+            if (!this.isEnabled) return;
+            this.__onPointer(eventName, args[0]);
+        }
+
+        super.__handleEvent(eventName, canvas, ...args);
+    }
+
+    // template method reacting to a pointer CGLEvent on the widget
+    __onPointer(type, event) {}
+
+    // template method handling a DOM keydown event while the widget has focus, returning true if the key was used
+    __onKey(e) {  return false;  }
+
+    // raises "click" as though the widget was clicked, ie. when it's activated with the keyboard
+    __click(e=null) {
+        const center = this.localToWorld(this.width/2, this.height/2);
+        this.canvas?.__dispatchEvent(new CGLEvent("click", center.x, center.y, this, e));
+    }
+
+    // raises "change" with the widget's new value
+    __change(value, e=null) {
+        this.__handleEvent("change", this.canvas, new CGLEvent("change", null, null, this, e, {"value": value}));
+    }
+
+    // returns the fillColor, outlineColor and textColor of the current state
+    // states without their own colors are shades of the normal colors
+    __style() {
+        const state = this.state;
+        const normal = {"fillColor": this.fillColor, "outlineColor": this.outlineColor, "textColor": this.textColor};
+        const shade = (target, amount) => Object.fromEntries(Object.entries(normal).map(([key, color]) => [key, __cglShadeColor(color, target, amount)]));
+
+        const derived = state === "hover" ? shade([255, 255, 255, 1], 0.3)
+                      : state === "pressed" ? shade([0, 0, 0, 1], 0.15)
+                      : state === "disabled" ? shade([160, 160, 160, 1], 0.6) : normal;
+        return {...derived, ...(this.states[state] ?? {})};
+    }
+
+    // template method returning a string which changes whenever the widget looks different
+    __appearanceKey() {  return [this.state, this.isFocused, this.width, this.height].join("|");  }
+
+    // widgets are redrawn whenever their appearance changes
+    __isAnimating() {  return super.__isAnimating() || this.__appearanceKey() !== this.#drawnKey;  }
+
+    __draw(ctx) {
+        this.#drawnKey = this.__appearanceKey();
+        this.__drawWidget(ctx, this.__style());
+
+        // draw the focus ring just outside of the widget
+        if (this.isFocused) {
+            ctx.setLineDash([]);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = this.accentColor;
+            ctx.strokeRect(-1.5, -1.5, this.width + 3, this.height + 3);
+        }
+    }
+
+    // template method drawing the widget with the colors of its state
+    __drawWidget(ctx, style) {}
+
+    // draws a filled and outlined rectangle
+    __drawBox(ctx, style, x, y, width, height) {
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+
+        ctx.fillStyle = __cglResolveStyle(ctx, style.fillColor);
+        ctx.strokeStyle = __cglResolveStyle(ctx, style.outlineColor);
+        if (style.fillColor !== "transparent") ctx.fill();
+        if (style.outlineColor !== "transparent") ctx.stroke();
+    }
+
+    // draws a line of text vertically centered on y
+    __drawText(ctx, text, x, y, align, color) {
+        ctx.save();
+        ctx.scale(1, -1); // un-flip so the text isn't upside down
+
+        ctx.font = this.fontSize + "px " + this.font;
+        ctx.textAlign = align;
+        ctx.textBaseline = "middle";
+        ctx.fillStyle = __cglResolveStyle(ctx, color, true);
+        ctx.fillText(text, x, -y);
+
+        ctx.restore();
+    }
+}
+
+// a button with a centered label, clicked with the pointer, Enter or Space
+class CGLButton extends CGLWidget {
+    label; // string; the text on the button
+
+    constructor(x=null, y=null, width=null, height=null, label="", options={}) {
+        super(x, y, width, height, options);
+
+        if (label === null || (label.constructor !== String && label.constructor !== Number))
+            throw new CGLException("Invalid label passed to CGLButton constructor. Expected string, got " + (label === null ? null : label.constructor.name));
+        this.label = String(label);
+    }
+
+    __onKey(e) {
+        if (e.key !== "Enter" && e.key !== " ") return false;
+        if (!e.repeat) this.__click(e);
+        return true;
+    }
+
+    __appearanceKey() {  return super.__appearanceKey() + "|" + this.label;  }
+
+    __drawWidget(ctx, style) {
+        this.__drawBox(ctx, style, 0, 0, this.width, this.height);
+        this.__drawText(ctx, this.label, this.width/2, this.height/2, "center", style.textColor);
+    }
+}
+
+// a box which is checked and unchecked by clicking it (or its label) or pressing Space, raising "change" with checked
+class CGLCheckbox extends CGLWidget {
+    label; // string; the text beside the box
+    checked; // boolean; whether the box is checked (setting it doesn't raise "change")
+
+    // options: {checked}, plus those of CGLWidget
+    constructor(x=null, y=null, width=null, height=null, label="", options={}) {
+        super(x, y, width, height, options);
+
+        if (label === null || (label.constructor !== String && label.constructor !== Number))
+            throw new CGLException("Invalid label passed to CGLCheckbox constructor. Expected string, got " + (label === null ? null : label.constructor.name));
+        this.label = String(label);
+        this.checked = options.checked ?? false;
+    }
+
+    // toggle before any click listeners are called, so they see the new value
+    __onPointer(type, event) {
+        if (type !== "click") return;
+
+        this.checked = !this.checked;
+        this.__change(this.checked, event.originalEvent);
+    }
+
+    __onKey(e) {
+        if (e.key !== " ") return false;
+        if (!e.repeat) this.__click(e);
+        return true;
+    }
+
+    __appearanceKey() {  return super.__appearanceKey() + "|" + this.checked + "|" + this.label;  }
+
+    // the box sits at the left, vertically centered, with the label to its right
+    __drawWidget(ctx, style) {
+        const size = Math.min(this.height, this.fontSize + 4), boxY = (this.height - size) / 2;
+        this.__drawBox(ctx, style, 0, boxY, size, size);
+
+        if (this.checked) {
+            ctx.beginPath();
+            ctx.moveTo(size * 0.2, boxY + size * 0.5);
+            ctx.lineTo(size * 0.42, boxY + size * 0.25);
+            ctx.lineTo(size * 0.8, boxY + size * 0.75);
+
+            ctx.setLineDash([]);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = this.isEnabled ? this.accentColor : style.textColor;
+            ctx.stroke();
+        }
+
+        this.__drawText(ctx, this.label, size + 6, this.height/2, "left", style.textColor);
+    }
+}
+
+// a horizontal slider between min and max, dragged with the pointer or moved with the arrow keys, raising "change" with value
+class CGLSlider extends CGLWidget {
+    min; // number; the value at the left end
+    max; // number; the value at the right end
+    step; // number; the increment values snap to, or 0 for any value
+    #value; // number; the current value
+
+    // options: {min, max, step, value}, plus those of CGLWidget
+    constructor(x=null, y=null, width=null, height=null, options={}) {
+        super(x, y, width, height, options);
+
+        this.min = options.min ?? 0;
+        this.max = options.max ?? 100;
+        this.step = options.step ?? 1;
+
+        if ([this.min, this.max, this.step].some(n => n === null || n.constructor !== Number) || this.max <= this.min || this.step < 0)
+            throw new CGLException("Invalid range passed to CGLSlider constructor. Expected numbers min < max, and step >= 0.");
+
+        this.value = options.value ?? this.min;
+    }
+
+    // setting the value clamps and snaps it, without raising "change"
+    get value() {  return this.#value;  }
+    set value(v) {
+        if (v === null || v.constructor !== Number || isNaN(v))
+            throw new CGLException("Invalid slider value: expected number.");
+
+        if (this.step > 0) v = this.min + Math.round((v - this.min) / this.step) * this.step;
+        this.#value = Math.min(this.max, Math.max(this.min, +v.toFixed(10))); // round off floating-point error from snapping
+    }
+
+    // the thumb's radius, which is also the padding at either end of the track
+    get #radius() {  return this.height / 2;  }
+
+    // changes the value from user input, raising "change" if it changed
+    #setValue(value, e) {
+        const previous = this.#value;
+        this.value = value;
+        if (this.#value !== previous) this.__change(this.#value, e);
+    }
+
+    __onPointer(type, event) {
+        if (type !== "mousedown" && type !== "drag") return;
+
+        const x = this.worldToLocal(event.x, event.y).x;
+        const t = (x - this.#radius) / Math.max(1, this.width - this.#radius * 2);
+        this.#setValue(this.min + t * (this.max - this.min), event.originalEvent);
+    }
+
+    __onKey(e) {
+        const step = this.step > 0 ? this.step : (this.max - this.min) / 100;
+        const values = {
+            "ArrowLeft": this.#value - step, "ArrowDown": this.#value - step, "ArrowRight": this.#value + step, "ArrowUp": this.#value + step,
+            "PageDown": this.#value - step * 10, "PageUp": this.#value + step * 10, "Home": this.min, "End": this.max
+        };
+        if (!(e.key in values)) return false;
+
+        this.#setValue(values[e.key], e);
+        return true;
+    }
+
+    __appearanceKey() {  return super.__appearanceKey() + "|" + this.#value + "|" + this.min + "|" + this.max;  }
+
+    __drawWidget(ctx, style) {
+        const radius = this.#radius, trackHeight = Math.max(2, this.height / 4);
+        const thumbX = radius + (this.#value - this.min) / (this.max - this.min) * (this.width - radius * 2);
+
+        // the track, filled up to the thumb
+        ctx.fillStyle = __cglResolveStyle(ctx, style.outlineColor);
+        ctx.fillRect(radius, (this.height - trackHeight) / 2, this.width - radius * 2, trackHeight);
+        ctx.fillStyle = this.isEnabled ? this.accentColor : __cglResolveStyle(ctx, style.textColor);
+        ctx.fillRect(radius, (this.height - trackHeight) / 2, thumbX - radius, trackHeight);
+
+        // the thumb
+        ctx.beginPath();
+        ctx.arc(thumbX, this.height / 2, radius - 1, 0, 2 * Math.PI);
+        ctx.fillStyle = __cglResolveStyle(ctx, style.fillColor);
+        ctx.strokeStyle = __cglResolveStyle(ctx, style.outlineColor);
+        if (style.fillColor !== "transparent") ctx.fill();
+        if (style.outlineColor !== "transparent") ctx.stroke();
+    }
+}
+
+// a single line of editable text, raising "change" with value after each edit
+// typed while focused, with the caret moved by clicking, the arrow keys, Home and End
+class CGLTextInput extends CGLWidget {
+    placeholder; // string; shown while the input is empty
+    maxLength; // integer; the most characters the value can hold, or null for no limit
+    #value; // string; the current text
+    #caret; // integer; the index of the character the caret is before
+    #scroll = 0; // number; how far the text is scrolled left to keep the caret in view, in pixels
+    #caretMoved = 0; // the time the caret last moved, in ms, so it stays visible while typing
+    #offsets = {"value": "", "font": null, "xs": [0]}; // the x-position of the caret before each character of value, measured when drawn
+
+    static #PADDING = 4; // space between the text and the edges of the box, in pixels
+
+    // options: {value, placeholder, maxLength}, plus those of CGLWidget
+    constructor(x=null, y=null, width=null, height=null, options={}) {
+        super(x, y, width, height, {...options, "fillColor": options.fillColor ?? "white", "cursor": options.cursor ?? "text"});
+
+        this.placeholder = options.placeholder ?? "";
+        this.maxLength = options.maxLength ?? null;
+
+        if (this.maxLength !== null && (!Number.isInteger(this.maxLength) || this.maxLength < 0))
+            throw new CGLException("Invalid maxLength passed to CGLTextInput constructor. Expected null or non-negative integer.");
+
+        this.value = options.value ?? "";
+    }
+
+    // setting the value moves the caret to the end, without raising "change"
+    get value() {  return this.#value;  }
+    set value(v) {
+        if (v === null || (v.constructor !== String && v.constructor !== Number))
+            throw new CGLException("Invalid text input value: expected string.");
+
+        this.#value = String(v).replace(/[\r\n]/g, "").slice(0, this.maxLength ?? undefined);
+        this.#caret = this.#value.length;
+    }
+
+    get caret() {  return this.#caret;  }
+    set caret(c) {
+        if (c === null || !Number.isInteger(c))
+            throw new CGLException("Invalid caret position: expected integer.");
+        this.#caret = Math.min(this.#value.length, Math.max(0, c));
+        this.#caretMoved = performance.now();
+    }
+
+    // the caret blinks while the input has focus
+    get #isCaretShown() {  return this.isFocused && Math.floor((performance.now() - this.#caretMoved) / 500) % 2 === 0;  }
+
+    // edits the value from user input, raising "change" if it changed
+    #edit(value, caret, e) {
+        const previous = this.#value;
+        this.#value = value.slice(0, this.maxLength ?? undefined);
+        this.caret = caret;
+        if (this.#value !== previous) this.__change(this.#value, e);
+    }
+
+    // place the caret at the closest gap between characters
+    __onPointer(type, event) {
+        if (type !== "mousedown") return;
+
+        const x = this.worldToLocal(event.x, event.y).x - CGLTextInput.#PADDING + this.#scroll;
+        const xs = this.#offsets.value === this.#value ? this.#offsets.xs : [0];
+        this.caret = xs.reduce((closest, offset, i) => Math.abs(offset - x) < Math.abs(xs[closest] - x) ? i : closest, 0);
+    }
+
+    __onKey(e) {
+        const value = this.#value, caret = this.#caret;
+
+        // type characters, but leave shortcuts to the browser
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+            if (this.maxLength === null || value.length < this.maxLength)
+                this.#edit(value.slice(0, caret) + e.key + value.slice(caret), caret + 1, e);
+            return true;
+        }
+
+        if (e.key === "Backspace") {
+            if (caret > 0) this.#edit(value.slice(0, caret - 1) + value.slice(caret), caret - 1, e);
+        } else if (e.key === "Delete") {
+            this.#edit(value.slice(0, caret) + value.slice(caret + 1), caret, e);
+        } else if (e.key === "ArrowLeft" || e.key === "ArrowRight" || e.key === "Home" || e.key === "End") {
+            this.caret = {"ArrowLeft": caret - 1, "ArrowRight": caret + 1, "Home": 0, "End": value.length}[e.key];
+        } else {
+            return false;
+        }
+
+        return true;
+    }
+
+    __appearanceKey() {  return [super.__appearanceKey(), this.#value, this.#caret, this.#isCaretShown, this.placeholder].join("|");  }
+
+    __drawWidget(ctx, style) {
+        const padding = CGLTextInput.#PADDING, innerWidth = this.width - padding * 2;
+        this.__drawBox(ctx, style, 0, 0, this.width, this.height);
+
+        // measure where the caret can go, only when the value or font changes
+        const font = this.fontSize + "px " + this.font;
+        ctx.font = font;
+        if (this.#offsets.value !== this.#value || this.#offsets.font !== font)
+            this.#offsets = {"value": this.#value, "font": font, "xs": [...Array(this.#value.length + 1).keys()].map(i => ctx.measureText(this.#value.slice(0, i)).width)};
+
+        // scroll the text so the caret is always in view
+        const caretX = this.#offsets.xs[this.#caret];
+        this.#scroll = Math.min(Math.max(this.#scroll, caretX - innerWidth), caretX, Math.max(0, this.#offsets.xs.at(-1) - innerWidth));
+
+        // only draw inside of the box
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(padding, 0, innerWidth, this.height);
+        ctx.clip();
+
+        if (this.#value === "") {
+            const alpha = ctx.globalAlpha;
+            ctx.globalAlpha = alpha * 0.5;
+            this.__drawText(ctx, this.placeholder, padding, this.height/2, "left", style.textColor);
+            ctx.globalAlpha = alpha;
+        } else {
+            this.__drawText(ctx, this.#value, padding - this.#scroll, this.height/2, "left", style.textColor);
+        }
+
+        if (this.#isCaretShown) {
+            ctx.fillStyle = this.accentColor;
+            ctx.fillRect(padding + caretX - this.#scroll, (this.height - this.fontSize * 1.2) / 2, 1, this.fontSize * 1.2);
+        }
+
+        ctx.restore();
+    }
+}
+
+/****************** END CGLWIDGET CLASSES ******************/
+/****************** START CGLSERIALIZERS ******************/
+
+// scenes are saved as {"version", "camera", "layers", "physics", "children"} by CGLCanvas.toJSON(), where each object
+// is saved as {"type", ...common CGLObject properties, ...properties of its class} in z-order
+// event listeners, tweens, collisions and camera targets aren't saved
+
+// the version of the scene format written by CGLCanvas.toJSON(), increased whenever the format changes
+const CGL_SCENE_VERSION = 1;
+
+// saves a fillColor or outlineColor, describing gradients and patterns by their type
+const __cglStyleToJSON = (style) => {
+    if (style instanceof CGLLinearGradient)
+        return {"type": "linear", "x0": style.x0, "y0": style.y0, "x1": style.x1, "y1": style.y1, "stops": style.stops};
+    if (style instanceof CGLRadialGradient)
+        return {"type": "radial", "x0": style.x0, "y0": style.y0, "r0": style.r0, "x1": style.x1, "y1": style.y1, "r1": style.r1, "stops": style.stops};
+    if (style instanceof CGLConicGradient)
+        return {"type": "conic", "angle": style.angle, "x": style.x, "y": style.y, "stops": style.stops};
+    if (style instanceof CGLPattern)
+        return {"type": "pattern", "src": style.src, "repetition": style.repetition};
+
+    return style;
+};
+
+// rebuilds a fillColor or outlineColor saved by __cglStyleToJSON
+const __cglStyleFromJSON = (style) => {
+    if (style?.type === "linear") return new CGLLinearGradient(style.x0, style.y0, style.x1, style.y1, style.stops);
+    if (style?.type === "radial") return new CGLRadialGradient(style.x0, style.y0, style.r0, style.x1, style.y1, style.r1, style.stops);
+    if (style?.type === "conic") return new CGLConicGradient(style.angle, style.x, style.y, style.stops);
+    if (style?.type === "pattern") return new CGLPattern(style.src, style.repetition);
+
+    return style;
+};
+
+// saves and rebuilds CGLObjects as JSON, with a serializer registered for each class
+class CGLSerializerRegistry {
+    #types = new Map(); // maps the type names stored in JSON to their {type, cls, toJSON, fromJSON}
+    #classes = new Map(); // maps each registered class to the same entry
+
+    // properties shared by every CGLObject, passed through to constructors as options
+    static #OPTIONS = ["rotation", "scaleX", "scaleY", "flipX", "flipY", "pivot", "fillColor", "outlineColor", "outlineThickness",
+                       "outlineDash", "outlineDashOffset", "opacity", "shadow", "blendMode", "isVisible", "ignoreClicks", "cursor", "layer",
+                       "collisionLayer", "collisionMask", "bodyType", "mass", "restitution", "friction"];
+
+    // properties shared by every CGLObject, assigned once it's constructed
+    static #MOTION = ["velocity", "acceleration", "angularVelocity", "angularAcceleration"];
+
+    // registers how a class is saved and rebuilt, where type is the name stored in the JSON (usually the class name)
+    // serializer: {toJSON: (obj) => properties of the class, fromJSON: (data, options) => new object}
+    // options holds the common CGLObject properties, to pass through to the class' constructor
+    register(type=null, cls=null, serializer={}) {
+        if (type === null || type.constructor !== String || type === "")
+            throw new CGLException("Invalid serializer type: expected non-empty string.");
+        if (cls === null || !(cls.prototype instanceof CGLObject))
+            throw new CGLException("Invalid class passed to CGLSerializers.register. Expected subclass of CGLObject.");
+        if (typeof serializer.toJSON !== "function" || typeof serializer.fromJSON !== "function")
+            throw new CGLException("Invalid serializer for " + type + ". Expected {toJSON, fromJSON} functions.");
+        if (this.#types.has(type) && this.#types.get(type).cls !== cls)
+            throw new CGLException("The serializer type \"" + type + "\" is already registered to " + this.#types.get(type).cls.name + ".");
+
+        // replace any previous serializer for the class
+        this.#types.delete(this.#classes.get(cls)?.type);
+
+        const entry = {"type": type, "cls": cls, "toJSON": serializer.toJSON, "fromJSON": serializer.fromJSON};
+        this.#types.set(type, entry);
+        this.#classes.set(cls, entry);
+    }
+
+    // returns true if a serializer is registered with the type name
+    has(type) {  return this.#types.has(type);  }
+
+    // saves a CGLObject as a JSON-compatible object
+    toJSON(obj=null) {
+        // only exact classes are matched, so subclasses aren't silently saved as their parent class
+        const entry = this.#classes.get(obj?.constructor);
+        if (entry === undefined)
+            throw new CGLException("No serializer registered for " + (obj === null ? null : obj?.constructor.name) + ". Register one with CGLSerializers.register().");
+
+        const data = {"type": entry.type, "x": obj.x, "y": obj.y};
+        for (let key of [...CGLSerializerRegistry.#OPTIONS, ...CGLSerializerRegistry.#MOTION])
+            data[key] = structuredClone(obj[key]);
+        data.fillColor = __cglStyleToJSON(obj.fillColor);
+        data.outlineColor = __cglStyleToJSON(obj.outlineColor);
+
+        return {...data, ...entry.toJSON(obj)};
+    }
+
+    // rebuilds a CGLObject saved by toJSON()
+    fromJSON(data=null) {
+        if (data === null || data.constructor !== Object)
+            throw new CGLException("Invalid CGLObject JSON: expected object.");
+
+        const entry = this.#types.get(data.type);
+        if (entry === undefined)
+            throw new CGLException("Unknown CGLObject type in JSON: " + data.type + ". Register a serializer with CGLSerializers.register().");
+
+        // missing properties take their default values
+        const options = {};
+        for (let key of CGLSerializerRegistry.#OPTIONS)
+            if (data[key] !== undefined) options[key] = structuredClone(data[key]);
+        options.fillColor = __cglStyleFromJSON(options.fillColor);
+        options.outlineColor = __cglStyleFromJSON(options.outlineColor);
+
+        const obj = entry.fromJSON(data, options);
+        for (let key of CGLSerializerRegistry.#MOTION)
+            if (data[key] !== undefined) obj[key] = structuredClone(data[key]);
+
+        return obj;
+    }
+
+    // throws unless data is a scene saved by a supported version of CookieGL
+    __checkScene(data) {
+        if (data === null || data?.constructor !== Object)
+            throw new CGLException("Invalid scene JSON: expected object.");
+        if (data.version === undefined || data.version === null || data.version.constructor !== Number)
+            throw new CGLException("Invalid scene JSON: missing version number.");
+        if (data.version > CGL_SCENE_VERSION)
+            throw new CGLException("Scene version " + data.version + " is newer than this version of CookieGL supports (" + CGL_SCENE_VERSION + ").");
+    }
+}
 
-    constructor(x=null, y=null, vertices=null, options={}) {
-        super(x, y, options);
+// the global serializer registry
+const CGLSerializers = new CGLSerializerRegistry();
 
-        // check parameters
-        if (vertices === null || vertices.constructor !== Array || vertices.length < 3)
-            throw new CGLException("Invalid parameter passed to CGLPoly constructor. Parameter vertices array must have at least >=3 vertices.");
+// properties of paths, shared by their subclasses
+const __cglPathToJSON = (path) => ({"lineCap": path.lineCap, "lineJoin": path.lineJoin, "miterLimit": path.miterLimit, "hitTolerance": path.hitTolerance});
+const __cglPathOptions = (data, options) => ({...options, "lineCap": data.lineCap, "lineJoin": data.lineJoin, "miterLimit": data.miterLimit, "hitTolerance": data.hitTolerance});
 
-        // sanitize vertices
-        vertices.forEach(n => {
-            if (n.length !== 2 || n[0].constructor !== Number || n[1].constructor !== Number)
-                throw new CGLException("Invalid argument: vertices must each be an array of 2 numbers in the format [x, y].");
-        });
+// built-in serializers
+CGLSerializers.register("CGLGroup", CGLGroup, {
+    "toJSON": (group) => ({"children": group.children.map(child => CGLSerializers.toJSON(child))}),
+    "fromJSON": (data, options) => new CGLGroup(data.x, data.y, (data.children ?? []).map(child => CGLSerializers.fromJSON(child)), options)
+});
 
-        // everything is good, assign vertices
-        this.#vertices = vertices.map(arr => [...arr]); // shallow copy
+CGLSerializers.register("CGLPoly", CGLPoly, {
+    "toJSON": (poly) => ({"vertices": poly.vertices}),
+    "fromJSON": (data, options) => new CGLPoly(data.x, data.y, data.vertices, options)
+});
 
-        // determine centroid
-        this.#centroidX = 0, this.#centroidY = 0;
-        this.#vertices.forEach(arr => {this.#centroidX += arr[0] + this.x; this.#centroidY += arr[1] + this.y});
-        this.#centroidX /= this.#vertices.length;
-        this.#centroidY /= this.#vertices.length;
-    }
+CGLSerializers.register("CGLEllipse", CGLEllipse, {
+    "toJSON": (ellipse) => ({"horizDiameter": ellipse.horizDiameter, "vertDiameter": ellipse.vertDiameter}),
+    "fromJSON": (data, options) => new CGLEllipse(data.x, data.y, data.horizDiameter, data.vertDiameter, options)
+});
 
-    __draw(ctx) {
-        // rotate polygon
-        ctx.beginPath();
-        const sin = Math.sin(-this.rotation * Math.PI/180);
-        const cos = Math.cos(-this.rotation * Math.PI/180);
-        
-        // find centroid
-        const xVert = this.#vertices.map(arr => cos*(arr[0] - this.#centroidX) - sin*(arr[1] - this.#centroidY) + this.#centroidX);
-        const yVert = this.#vertices.map(arr => sin*(arr[0] - this.#centroidX) + cos*(arr[1] - this.#centroidY) + this.#centroidY);
- 
-        for (let i = 0; i < xVert.length; i++) ctx.lineTo(xVert[i], yVert[i]);
- 
-        ctx.lineTo(xVert[0], yVert[0]);
-        ctx.closePath();
+CGLSerializers.register("CGLCircle", CGLCircle, {
+    "toJSON": (circle) => ({"diameter": circle.horizDiameter}),
+    "fromJSON": (data, options) => new CGLCircle(data.x, data.y, data.diameter, options)
+});
 
-        if (this.fillColor !== "transparent") ctx.fill();
-        
-        // stroke and fill (inset stroke thanks to https://stackoverflow.com/a/45125187)
-        ctx.save();
-        ctx.translate(this.#centroidX, this.#centroidY);
-        ctx.rotate(-this.rotation * Math.PI / 180);
-        ctx.translate(-this.#centroidX, -this.#centroidY);
-        
-        ctx.clip();
-        ctx.lineWidth *= 2;
-        if (this.outlineColor !== "transparent") ctx.stroke();
+CGLSerializers.register("CGLRect", CGLRect, {
+    "toJSON": (rect) => ({"width": rect.width, "height": rect.height}),
+    "fromJSON": (data, options) => new CGLRect(data.x, data.y, data.width, data.height, options)
+});
 
-        ctx.restore();
+CGLSerializers.register("CGLSquare", CGLSquare, {
+    "toJSON": (square) => ({"size": square.size}),
+    "fromJSON": (data, options) => new CGLSquare(data.x, data.y, data.size, options)
+});
+
+CGLSerializers.register("CGLImage", CGLImage, {
+    "toJSON": (image) => ({"width": image.width, "height": image.height, "src": image.src}),
+    "fromJSON": (data, options) => new CGLImage(data.x, data.y, data.width, data.height, data.src, options)
+});
+
+CGLSerializers.register("CGLFrames", CGLFrames, {
+    "toJSON": (frames) => ({
+        "width": frames.width, "height": frames.height, "frameURLs": frames.frameURLs, "frameTimes": frames.frameTimes,
+        "pattern": frames.pattern, "mode": frames.mode, "frameIndex": frames.frameIndex, "isPlaying": frames.isPlaying
+    }),
+    "fromJSON": (data, options) => {
+        const frames = new CGLFrames(data.x, data.y, data.width, data.height, data.frameURLs, data.frameTimes, data.pattern ?? null,
+                                     {...options, "mode": data.mode ?? "loop", "autoplay": data.isPlaying ?? true});
+        if (data.frameIndex !== undefined) frames.gotoFrame(data.frameIndex);
+        return frames;
     }
+});
 
-    // shallow copy vertices on return to prevent reference modification
-    get vertices() {  return this.#vertices.map(arr => [...arr]);  }
-    set vertices(v) {
-        // check parameters
-        if (v === null || v.constructor !== Array || v.length < 3)
-            throw new CGLException("Invalid parameter passed to CGLPoly vertices. Parameter vertices array must have at least >=3 vertices.");
+CGLSerializers.register("CGLSprite", CGLSprite, {
+    "toJSON": (sprite) => ({
+        "width": sprite.width, "height": sprite.height,
+        "sheet": {
+            "src": sprite.sheet.src,
+            "frames": sprite.sheet.frames.map(({name, ...rect}) => name === null ? rect : {"name": name, ...rect}),
+            "animations": structuredClone(sprite.sheet.animations)
+        },
+        "animations": sprite.animations, "animation": sprite.animation, "frame": sprite.frame,
+        "frameIndex": sprite.frameIndex, "isPlaying": sprite.isPlaying
+    }),
+    "fromJSON": (data, options) => {
+        if (data.sheet === null || data.sheet?.constructor !== Object)
+            throw new CGLException("Invalid CGLSprite JSON: expected sheet as {src, frames, animations}.");
 
-        // sanitize vertices
-        v.forEach(n => {
-            if (n.length !== 2 || n[0].constructor !== Number || n[1].constructor !== Number)
-                throw new CGLException("Invalid argument: vertices must each be an array of 2 numbers in the format [x, y].");
-        });
+        const sheet = new CGLSpriteSheet(data.sheet.src ?? null, data.sheet.frames ?? null);
+        sheet.animations = data.sheet.animations ?? {};
 
-        this.#vertices = v.map(arr => [...arr]); // shallow copy
+        const sprite = new CGLSprite(data.x, data.y, data.width, data.height, sheet, {...options, "animations": data.animations ?? {}, "frame": data.frame ?? 0});
 
-        // determine centroid
-        this.#centroidX = 0, this.#centroidY = 0;
-        this.#vertices.forEach(arr => {this.#centroidX += arr[0] + this.x; this.#centroidY += arr[1] + this.y});
-        this.#centroidX /= this.#vertices.length;
-        this.#centroidY /= this.#vertices.length;
+        // resume the animation where it was, or keep showing a paused frame
+        if ((data.animation ?? null) !== null) {
+            sprite.play(data.animation);
+            sprite.gotoFrame(data.frameIndex ?? 0);
+        }
+        if (!(data.isPlaying ?? false)) sprite.frame = data.frame ?? 0;
+        return sprite;
     }
+});
 
-    __isPointInBounds(x, y) {
-        // rotate bounds
-        const sin = Math.sin(-this.rotation * Math.PI/180);
-        const cos = Math.cos(-this.rotation * Math.PI/180);
-        
-        const xVert = this.#vertices.map(arr => cos*(arr[0] + this.x - this.#centroidX) - sin*(arr[1] + this.y - this.#centroidY) + this.#centroidX);
-        const yVert = this.#vertices.map(arr => sin*(arr[0] + this.x - this.#centroidX) + cos*(arr[1] + this.y - this.#centroidY) + this.#centroidY);
+CGLSerializers.register("CGLText", CGLText, {
+    "toJSON": (text) => ({
+        "text": text.text, "font": text.font, "size": text.size, "weight": text.weight, "align": text.align,
+        "baseline": text.baseline, "maxWidth": text.maxWidth, "lineHeight": text.lineHeight
+    }),
+    "fromJSON": (data, options) => new CGLText(data.x, data.y, data.text ?? "", {
+        ...options, "font": data.font, "size": data.size, "weight": data.weight, "align": data.align,
+        "baseline": data.baseline, "maxWidth": data.maxWidth, "lineHeight": data.lineHeight
+    })
+});
 
-        // check if the point is within the vertices (largely thanks to https://stackoverflow.com/a/2922778)
-        let isInBounds = false;
-        
-        for (let i = 0, j = xVert.length-1; i < xVert.length; j = i++) {
-            if (((yVert[i] > y) !== (yVert[j] > y)) && (x < (xVert[j] - xVert[i]) * (y - yVert[i]) / (yVert[j] - yVert[i]) + xVert[i]))
-                isInBounds = !isInBounds;
-        }
+CGLSerializers.register("CGLPath", CGLPath, {
+    "toJSON": (path) => ({"path": path.path, ...__cglPathToJSON(path)}),
+    "fromJSON": (data, options) => new CGLPath(data.x, data.y, data.path ?? [], __cglPathOptions(data, options))
+});
 
-        return isInBounds;
+CGLSerializers.register("CGLPolyline", CGLPolyline, {
+    "toJSON": (polyline) => ({"vertices": polyline.vertices, "closed": polyline.closed, ...__cglPathToJSON(polyline)}),
+    "fromJSON": (data, options) => new CGLPolyline(data.x, data.y, data.vertices, {...__cglPathOptions(data, options), "closed": data.closed})
+});
+
+CGLSerializers.register("CGLLine", CGLLine, {
+    "toJSON": (line) => ({"x2": line.x2, "y2": line.y2, ...__cglPathToJSON(line)}),
+    "fromJSON": (data, options) => new CGLLine(data.x, data.y, data.x2, data.y2, __cglPathOptions(data, options))
+});
+
+CGLSerializers.register("CGLTileMap", CGLTileMap, {
+    "toJSON": (tileMap) => ({
+        "tileset": {"src": tileMap.tileset.src, "frames": tileMap.tileset.frames.map(({name, ...rect}) => name === null ? rect : {"name": name, ...rect})},
+        "tileWidth": tileMap.tileWidth, "tileHeight": tileMap.tileHeight, "solidTiles": tileMap.solidTiles,
+        "tileLayers": tileMap.tileLayers.map(layer => ({...layer, "tiles": [...Array(tileMap.rows).keys()].map(row =>
+            [...Array(tileMap.columns).keys()].map(column => tileMap.getTile(column, row, layer.name)))}))
+    }),
+    "fromJSON": (data, options) => {
+        const sheet = new CGLSpriteSheet(data.tileset?.src ?? null, data.tileset?.frames ?? null);
+        const [first, ...rest] = data.tileLayers ?? [];
+
+        const tileMap = new CGLTileMap(data.x, data.y, sheet, first?.tiles ?? null,
+                                       {...options, "tileWidth": data.tileWidth, "tileHeight": data.tileHeight, "solidTiles": data.solidTiles, "layerName": first?.name});
+        Object.assign(tileMap.getTileLayer(first.name), {"isVisible": first.isVisible ?? true, "opacity": first.opacity ?? 1});
+        rest.forEach(layer => tileMap.addTileLayer(layer.name, layer.tiles, layer));
+        return tileMap;
     }
-}
+});
 
-// ellipse defined by major and minor axes' lengths
-class CGLEllipse extends CGLObject {
-    #horizLength; // length of ellipse in the direction of the horizontal axis
-    #vertLength; // length of ellipse in the direction of the vertical axis
+// properties of widgets, shared by their subclasses
+const __cglWidgetToJSON = (widget) => ({
+    "width": widget.width, "height": widget.height, "isEnabled": widget.isEnabled, "tabIndex": widget.tabIndex, "states": structuredClone(widget.states),
+    "textColor": __cglStyleToJSON(widget.textColor), "accentColor": widget.accentColor, "font": widget.font, "fontSize": widget.fontSize
+});
+const __cglWidgetOptions = (data, options) => ({
+    ...options, "isEnabled": data.isEnabled, "tabIndex": data.tabIndex, "states": data.states, "textColor": __cglStyleFromJSON(data.textColor),
+    "accentColor": data.accentColor, "font": data.font, "fontSize": data.fontSize
+});
 
-    constructor(x=null, y=null, horizLength=null, vertLength=null, options={}) {
-        super(x, y, options);
+CGLSerializers.register("CGLButton", CGLButton, {
+    "toJSON": (button) => ({...__cglWidgetToJSON(button), "label": button.label}),
+    "fromJSON": (data, options) => new CGLButton(data.x, data.y, data.width, data.height, data.label ?? "", __cglWidgetOptions(data, options))
+});
 
-        // check axes
-        if (horizLength === null || horizLength.constructor !== Number || horizLength < 0)
-            throw new CGLException("Invalid horizontal axis length passed to CGLEllipse constructor. Length must be a positive number.");
-        if (vertLength === null || vertLength.constructor !== Number || vertLength < 0)
-            throw new CGLException("Invalid vertical axis length passed to CGLEllipse constructor. Length must be a positive number.");
+CGLSerializers.register("CGLCheckbox", CGLCheckbox, {
+    "toJSON": (checkbox) => ({...__cglWidgetToJSON(checkbox), "label": checkbox.label, "checked": checkbox.checked}),
+    "fromJSON": (data, options) => new CGLCheckbox(data.x, data.y, data.width, data.height, data.label ?? "", {...__cglWidgetOptions(data, options), "checked": data.checked})
+});
 
-        // assign parameters
-        this.#horizLength = horizLength;
-        this.#vertLength = vertLength;
-    }
+CGLSerializers.register("CGLSlider", CGLSlider, {
+    "toJSON": (slider) => ({...__cglWidgetToJSON(slider), "min": slider.min, "max": slider.max, "step": slider.step, "value": slider.value}),
+    "fromJSON": (data, options) => new CGLSlider(data.x, data.y, data.width, data.height,
+                                                 {...__cglWidgetOptions(data, options), "min": data.min, "max": data.max, "step": data.step, "value": data.value})
+});
 
-    __draw(ctx) {
-        // rotate
-        ctx.save();
-        ctx.translate(this.#horizLength/2, this.#vertLength/2);
-        ctx.rotate(-this.rotation * Math.PI / 180);
-        ctx.translate(-this.#horizLength/2, -this.#vertLength/2);
-        
-        // draw ellipse
-        ctx.beginPath();
-        // move the ellipse since ctx.ellipse draws at the center
-        ctx.ellipse(this.#horizLength/2, this.#vertLength/2, this.#horizLength/2, this.#vertLength/2, 0, 0, 2*Math.PI);
-        ctx.stroke();
+CGLSerializers.register("CGLTextInput", CGLTextInput, {
+    "toJSON": (input) => ({...__cglWidgetToJSON(input), "value": input.value, "placeholder": input.placeholder, "maxLength": input.maxLength}),
+    "fromJSON": (data, options) => new CGLTextInput(data.x, data.y, data.width, data.height,
+                                                    {...__cglWidgetOptions(data, options), "value": data.value, "placeholder": data.placeholder, "maxLength": data.maxLength})
+});
 
-        // restore rotation
-        ctx.restore();
+// only the emitter's settings are saved, not its live particles
+const __cglEmitterSettings = ["rate", "bursts", "duration", "maxParticles", "localSpace", "lifetime", "speed", "angle", "spread",
+                              "gravity", "drag", "size", "color", "alpha", "shape", "src"];
 
-        // stroke polygon
-        if (this.fillColor !== "transparent") ctx.fill();
-        if (this.outlineColor !== "transparent") ctx.stroke();
+CGLSerializers.register("CGLParticleEmitter", CGLParticleEmitter, {
+    "toJSON": (emitter) => ({
+        ...Object.fromEntries(__cglEmitterSettings.map(key => [key, structuredClone(emitter[key])])),
+        "isEmitting": emitter.isEmitting
+    }),
+    "fromJSON": (data, options) => {
+        // missing settings (and images which weren't set) take their default values
+        const settings = Object.fromEntries(__cglEmitterSettings.filter(key => (data[key] ?? null) !== null).map(key => [key, data[key]]));
+        return new CGLParticleEmitter(data.x, data.y, {...options, ...settings, "autoplay": data.isEmitting ?? true});
     }
+});
 
-    get horizDiameter() {  return this.#horizLength;  }
-    set horizDiameter(h) {
-        if (h === null || h.constructor !== Number || h < 0)
-            throw new CGLException("Invalid argument type: expected positive number.");
-        this.#horizLength = h;
-    }
-    get vertDiameter() {  return this.#vertLength;  }
-    set vertDiameter(v) {
-        if (v === null || v.constructor !== Number || v < 0)
-            throw new CGLException("Invalid argument type: expected positive number.");
-        this.#vertLength = v;
+/****************** END CGLSERIALIZERS ******************/
+/****************** START CGLRECORDING CLASSES ******************/
+
+// returns the transform a then b, where each is [a, b, c, d, e, f] like CanvasRenderingContext2D.transform()
+const __cglMultiplyTransforms = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+    a1*a2 + c1*b2, b1*a2 + d1*b2,
+    a1*c2 + c1*d2, b1*c2 + d1*d2,
+    a1*e2 + c1*f2 + e1, b1*e2 + d1*f2 + f1
+];
+
+// returns the inverse of a [a, b, c, d, e, f] transform
+const __cglInvertTransform = ([a, b, c, d, e, f]) => {
+    const det = a*d - b*c;
+    return [d/det, -b/det, -c/det, a/det, (c*f - d*e)/det, (b*e - a*f)/det];
+};
+
+// a 2D context which draws nothing, recording each call with the transform, styles and CGLObject it was drawn with instead
+// so what a CGLCanvas renders can be inspected and tested without a browser (see CGLRecordingCanvas)
+// static layers are drawn from their cache where one can be created, so their children aren't recorded individually
+class CGLRecordingContext {
+    canvas; // the CGLRecordingCanvas this context draws on
+    maxCalls; // number; the most recent calls kept, older ones are forgotten so a running canvas doesn't record forever (or Infinity)
+
+    // drawing state, saved and restored by save() and restore()
+    fillStyle = "#000000";
+    strokeStyle = "#000000";
+    lineWidth = 1;
+    lineCap = "butt";
+    lineJoin = "miter";
+    miterLimit = 10;
+    lineDashOffset = 0;
+    globalAlpha = 1;
+    globalCompositeOperation = "source-over";
+    shadowColor = "rgba(0, 0, 0, 0)";
+    shadowBlur = 0;
+    shadowOffsetX = 0;
+    shadowOffsetY = 0;
+    font = "10px sans-serif";
+    textAlign = "start";
+    textBaseline = "alphabetic";
+    imageSmoothingEnabled = true;
+    imageSmoothingQuality = "low";
+    #lineDash = [];
+    #transform = [1, 0, 0, 1, 0, 0]; // the current transform as [a, b, c, d, e, f]
+
+    #states = []; // the stack of states saved by save()
+    #path = []; // the calls which built the current path
+    #calls = []; // the calls recorded, in order (up to twice maxCalls, trimmed in batches)
+    #objects = []; // the stack of CGLObjects currently being drawn
+    #drawn = new Map(); // maps each CGLObject drawn to its transform when it was last drawn
+    #view = [1, 0, 0, 1, 0, 0]; // the transform from world coordinates to the canvas, set when the camera is applied
+
+    // properties saved by save() and recorded with each drawing call
+    static #STATE = ["fillStyle", "strokeStyle", "lineWidth", "lineCap", "lineJoin", "miterLimit", "lineDashOffset", "globalAlpha",
+                     "globalCompositeOperation", "shadowColor", "shadowBlur", "shadowOffsetX", "shadowOffsetY", "font", "textAlign",
+                     "textBaseline", "imageSmoothingEnabled", "imageSmoothingQuality"];
+
+    // options: {maxCalls}
+    constructor(canvas=null, options={}) {
+        this.canvas = canvas;
+        this.maxCalls = options.maxCalls ?? 100000;
+
+        if (this.maxCalls === null || this.maxCalls.constructor !== Number || this.maxCalls < 0)
+            throw new CGLException("Invalid maxCalls passed to CGLRecordingContext constructor. Expected non-negative number.");
     }
 
-    __isPointInBounds(x, y) {
-        // check the point against the ellipse boundaries
-        const sin = Math.sin(-this.rotation * Math.PI/180);
-        const cos = Math.cos(-this.rotation * Math.PI/180);
+    // the most recent calls recorded (up to maxCalls), as {method, args, transform, object} where transform is [a, b, c, d, e, f] and object
+    // is the CGLObject being drawn (or null); drawing calls include the resolved styles and fills, strokes and clips include their path
+    get calls() {  return this.#calls.slice(Math.max(0, this.#calls.length - this.maxCalls));  }
 
-        const cX = this.x + this.#horizLength/2;
-        const cY = this.y + this.#vertLength/2;
-        return ( (2 * (cos*(x-cX) + sin*(y-cY)) / this.#horizLength) ** 2 + (2 * (sin*(x-cX) - cos*(y-cY)) / this.#vertLength) ** 2 ) <= 1;
+    // forgets every call and drawn object recorded so far, ie. between frames
+    clear() {
+        this.#calls = [];
+        this.#drawn.clear();
     }
-}
 
-// circle defined by a diameter (via immediate passthrough to CGLEllipse)
-class CGLCircle extends CGLEllipse {
-    constructor(x, y, diameter, options={}) {
-        super(x, y, diameter, diameter, options);
+    // returns the calls made while drawing a CGLObject (not including its group's children), optionally of one method
+    callsFor(obj, method=null) {
+        return this.calls.filter(call => call.object === obj && (method === null || call.method === method));
     }
 
-    get radius() {  return this.horizDiameter/2;  }
-    set radius(r) {
-        if (r === null || r.constructor !== Number || r < 0)
-            throw new CGLException("Invalid argument type: expected positive number.");
-        this.horizDiameter = r*2; // call super setters
-        this.vertDiameter = r*2; // call super setters
+    // returns true if the CGLObject has been drawn since the context was last cleared
+    wasDrawn(obj) {  return this.#drawn.has(obj);  }
+
+    // converts a point in the coordinates of a recorded call (ie. its path arguments) to world coordinates
+    worldPoint(call, x, y) {
+        const [a, b, c, d, e, f] = __cglMultiplyTransforms(__cglInvertTransform(this.#view), call.transform);
+        return {"x": a*x + c*y + e, "y": b*x + d*y + f};
     }
-}
 
-// rectangle defined by width and height
-class CGLRect extends CGLPoly {
-    #width; // numeric dimensions of rectangle, in pixels
-    #height; // numeric dimensions of rectangle, in pixels
+    // returns where the CGLObject was last drawn in the world as {x, y, rotation, scaleX, scaleY}, or null if it wasn't
+    // x, y is where the object's x, y was drawn in the world (which is just its x, y outside of groups when it's drawn correctly)
+    // and flips are reported as a negative scaleY
+    drawnTransform(obj) {
+        if (!this.#drawn.has(obj)) return null;
 
-    constructor(x=null, y=null, width=null, height=null, options={}) {
-        // verify width and height are valid
-        if (width === null || width.constructor !== Number || width < 0)
-            throw new CGLException("Invalid width passed to CGLRect constructor. Width must be a positive number.");
-        if (height === null || height.constructor !== Number || height < 0)
-            throw new CGLException("Invalid height passed to CGLRect constructor. Height must be a positive number.");
+        const toWorld = (transform) => __cglMultiplyTransforms(__cglInvertTransform(this.#view), transform);
+        const world = toWorld(this.#drawn.get(obj));
+        const parent = obj.parent !== null && this.#drawn.has(obj.parent) ? toWorld(this.#drawn.get(obj.parent)) : [1, 0, 0, 1, 0, 0];
 
-        // otherwise, passthrough to CGLPoly
-        super(x, y, [[0, 0], [0, height], [width, height], [width, 0]], options);
-        this.#width = width;
-        this.#height = height;
-    }
+        // the pivot is drawn at the object's x, y plus the pivot, in its parent's coordinates
+        const [a, b, c, d, e, f] = __cglMultiplyTransforms(__cglInvertTransform(parent), world);
+        const pivot = obj.__getPivot();
+        const x = a*pivot.x + c*pivot.y + e - pivot.x, y = b*pivot.x + d*pivot.y + f - pivot.y;
 
-    get width() {  return this.#width;  }
-    get height() {  return this.#height;  }
-    set width(w) {
-        if (w === null || w.constructor !== Number || w < 0)
-            throw new CGLException("Invalid width passed to CGLRect. Width must be a positive number.");
-        this.#width = w;
-        this.vertices = [[0, 0], [0, this.height], [w, this.height], [w, 0] ];
-    }
-    set height(h) {
-        if (h === null || h.constructor !== Number || h < 0)
-            throw new CGLException("Invalid height passed to CGLRect. Height must be a positive number.");
-        this.#height = h;
-        this.vertices = [[0, 0], [0, h], [this.width, h], [this.width, 0] ];
+        const scaleX = Math.hypot(world[0], world[1]);
+        return {
+            "x": parent[0]*x + parent[2]*y + parent[4],
+            "y": parent[1]*x + parent[3]*y + parent[5],
+            "rotation": -Math.atan2(world[1], world[0]) * 180 / Math.PI,
+            "scaleX": scaleX,
+            "scaleY": (world[0]*world[3] - world[1]*world[2]) / scaleX
+        };
     }
-}
 
-// square defined by set of vertices (via immediate passthrough to CGLRect)
-class CGLSquare extends CGLRect {
-    constructor(x=null, y=null, size=null, options={}) {
-        // verify width and height are valid
-        if (size === null || size.constructor !== Number || size < 0)
-            throw new CGLException("Invalid size passed to CGLRect constructor. Square size must be a positive number.");
+    // throws unless the CGLObject was drawn with the expected {x, y, rotation, scaleX, scaleY} (any may be omitted), returns its drawn transform
+    // ie. ctx.assertDrawn(rect, {"x": 10, "y": 20, "rotation": 45})
+    assertDrawn(obj, expected={}, tolerance=1e-6) {
+        const actual = this.drawnTransform(obj);
+        if (actual === null)
+            throw new CGLException((obj?.constructor.name ?? obj) + " was not drawn.");
 
-        // otherwise, passthrough to CGLRect
-        super(x, y, size, size, options);
+        for (let key of ["x", "y", "rotation", "scaleX", "scaleY"]) {
+            if (expected[key] === undefined) continue;
+
+            // compare rotations by the smallest angle between them
+            let difference = actual[key] - expected[key];
+            if (key === "rotation") difference = ((difference % 360) + 540) % 360 - 180;
+
+            if (Math.abs(difference) > tolerance)
+                throw new CGLException(obj.constructor.name + " was drawn with " + key + " = " + actual[key] + ", expected " + expected[key] + ".");
+        }
+
+        return actual;
     }
 
-    get size() {  return this.width;  }
-    set size(s) {
-        if (s === null || s.constructor !== Number || s < 0)
-            throw new CGLException("Invalid argument type: expected positive number.");
-        this.width = s; // call super setters
-        this.height = s; // call super setters
+    // optional hooks called by CGLObject and CGLCanvas while rendering to any context which has them
+    __beginObject(obj) {
+        this.#objects.push(obj);
+        this.#drawn.set(obj, [...this.#transform]);
     }
-}
+    __endObject() {  this.#objects.pop();  }
+    __setView() {  this.#view = [...this.#transform];  }
 
-// an image defined by its source HTMLImageElement
-class CGLImage extends CGLRect {
-    #src; // the path to the current image
-    #img; // the current HTMLImageElement containing the source image and it's width/height
+    #record(method, args, details={}) {
+        const call = {"method": method, "args": args, "transform": [...this.#transform], "object": this.#objects.at(-1) ?? null, ...details};
+        this.#calls.push(call);
 
-    constructor(x=null, y=null, width=null, height=null, imagePath=null, options={}) {
-        // verify width and height are valid
-        if (width === null || width.constructor !== Number || width < 0)
-            throw new CGLException("Invalid width passed to CGLImage constructor. Width must be a positive number.");
-        if (height === null || height.constructor !== Number || height < 0)
-            throw new CGLException("Invalid height passed to CGLImage constructor. Height must be a positive number.");
-        if (imagePath === null || imagePath.constructor !== String || imagePath === "")
-            throw new CGLException("Invalid image URL passed to CGLImage constructor. Image path must be a non-empty string.");
+        // forget the oldest calls in batches, rather than one by one
+        if (this.#calls.length >= this.maxCalls * 2) this.#calls = this.calls;
+        return call;
+    }
 
-        // otherwise, passthrough to CGLRect
-        super(x, y, width, height, options);
-        this.#img = new Image(this.width, this.height);
-        this.src = imagePath; // call setter to set #img.src and #src
+    // records a call which draws, with the resolved styles it's drawn with
+    #recordDraw(method, args, details={}) {
+        const style = {"lineDash": [...this.#lineDash]};
+        CGLRecordingContext.#STATE.forEach(key => style[key] = this[key]);
+        return this.#record(method, args, {"style": style, ...details});
     }
 
-    get src() {  return this.#src;  }
-    set src(s) {
-        if (s.constructor !== String || s === "")
-            throw new CGLException("Invalid image URL passed to CGLImage. Image path must be a non-empty string.");
-        this.#src = s;
-        this.#img.src = s;
+    // state
+    save() {
+        const state = {"lineDash": this.#lineDash, "transform": this.#transform};
+        CGLRecordingContext.#STATE.forEach(key => state[key] = this[key]);
+        this.#states.push(state);
+        this.#record("save", []);
     }
-    get width() {  return super.width;  }
-    set width(w) {
-        super.width = w; // call super, which handles errors
-        this.#img.width = w;
+    restore() {
+        const state = this.#states.pop();
+        if (state !== undefined) {
+            CGLRecordingContext.#STATE.forEach(key => this[key] = state[key]);
+            this.#lineDash = state.lineDash;
+            this.#transform = state.transform;
+        }
+        this.#record("restore", []);
     }
-    get height() {  return super.height;  }
-    set height(h) {
-        super.height = h; // call super, which handles errors
-        this.#img.height = h;
+    setLineDash(segments) {
+        this.#lineDash = [...segments];
+        this.#record("setLineDash", [[...segments]]);
     }
+    getLineDash() {  return [...this.#lineDash];  }
 
-    // override draw method to draw the image w/ rotation
-    __draw(ctx) {
-        // rotate around the center
-        ctx.translate(this.width/2, this.height/2);
-        ctx.rotate((-this.rotation - 180) * Math.PI / 180);
-        
-        // reposition rather than translating twice more
-        ctx.scale(-1, 1);
-        ctx.drawImage(this.#img, -this.width/2, -this.height/2, this.width, this.height);
-        ctx.scale(-1, 1);
-        
-        // un-rotate
-        ctx.rotate((this.rotation - 180) * Math.PI / 180);
-        ctx.translate(-this.width/2, -this.height/2);
+    // transforms
+    translate(x, y) {  this.#applyTransform("translate", [x, y], [1, 0, 0, 1, x, y]);  }
+    rotate(angle) {  this.#applyTransform("rotate", [angle], [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]);  }
+    scale(x, y) {  this.#applyTransform("scale", [x, y], [x, 0, 0, y, 0, 0]);  }
+    transform(a, b, c, d, e, f) {  this.#applyTransform("transform", [a, b, c, d, e, f], [a, b, c, d, e, f]);  }
+    setTransform(a=1, b=0, c=0, d=1, e=0, f=0) {
+        // also accept a matrix, ie. from getTransform()
+        if (a !== null && typeof a === "object") ({a, b, c, d, e, f} = a);
+
+        this.#transform = [a, b, c, d, e, f];
+        this.#record("setTransform", [a, b, c, d, e, f]);
+    }
+    resetTransform() {  this.setTransform();  }
+    getTransform() {
+        const [a, b, c, d, e, f] = this.#transform;
+        return {"a": a, "b": b, "c": c, "d": d, "e": e, "f": f};
     }
-}
 
-class CGLFrames extends CGLImage {
-    #frameURLs; // the array of string URLs for each frame
-    #frameTimes; // in ms; an array of numeric frame times of length matching the number of frames
-    #frameIndex = 0; // the index of the current frame
-    #pattern; // the frame pattern for the individual frames, zero-indexed
-    #createdTimestamp; // when the CGLFrame was created
-    #duration = 0; // in ms, how long the animation is before it cycles back around
+    #applyTransform(method, args, matrix) {
+        this.#transform = __cglMultiplyTransforms(this.#transform, matrix);
+        this.#record(method, args);
+    }
 
-    constructor(x=null, y=null, width=null, height=null, frameURLs=null, frameTime=null, pattern=null, options={}) {
-        // verify width and height are valid
-        if (width === null || width.constructor !== Number || width < 0)
-            throw new CGLException("Invalid width passed to CGLFrames constructor. Width must be a positive number.");
-        if (height === null || height.constructor !== Number || height < 0)
-            throw new CGLException("Invalid height passed to CGLFrames constructor. Height must be a positive number.");
-        if (frameURLs === null || frameURLs.constructor !== Array)
-            throw new CGLException("Invalid frame URLs passed to CGLFrames constructor. Frame URLs must be a non-empty array of URL strings.");
-        if (frameTime === null || !(frameURLs.constructor === Array || frameURLs.constructor !== Number))
-            throw new CGLException("Invalid frame time passed to CGLFrames constructor. Frame time must either be a number or an array of times for each individual frame.");
-        if (pattern !== null && pattern.constructor !== Array)
-            throw new CGLException("Invalid pattern passed to CGLFrames constructor. Pattern must consist of zero-index indices of each frame in their desired order.");
+    // paths
+    beginPath() {
+        this.#path = [];
+        this.#record("beginPath", []);
+    }
+    moveTo(...args) {  this.#addToPath("moveTo", args);  }
+    lineTo(...args) {  this.#addToPath("lineTo", args);  }
+    quadraticCurveTo(...args) {  this.#addToPath("quadraticCurveTo", args);  }
+    bezierCurveTo(...args) {  this.#addToPath("bezierCurveTo", args);  }
+    arc(...args) {  this.#addToPath("arc", args);  }
+    arcTo(...args) {  this.#addToPath("arcTo", args);  }
+    ellipse(...args) {  this.#addToPath("ellipse", args);  }
+    rect(...args) {  this.#addToPath("rect", args);  }
+    closePath() {  this.#addToPath("closePath", []);  }
 
-        // verify the imagePaths are all strings
-        frameURLs.forEach(url => {
-            if (url === null || url.constructor !== String)
-                throw new CGLException("Invalid frame URL; expected string, got " + (url === null ? null : url.constructor.name) + ".");
-        });
-        
-        // verify all frame times are numbers, if given an array
-        if (frameTime.constructor === Array) {
-            frameTime.forEach(time => {
-                if (time === null || time.constructor !== Number)
-                    throw new CGLException("Invalid frame time; expected number, got " + (url === null ? null : url.constructor.name) + ".");
-            });
-        }
+    #addToPath(method, args) {
+        this.#path.push(this.#record(method, args));
+    }
 
-        // verify the pattern is all numbers, if provided
-        if (pattern !== null) {
-            pattern = pattern.map(index => {
-                if (index === null || index.constructor !== Number || index >= frameURLs.length)
-                    throw new CGLException("Invalid index passed to CGLFrame pattern; only numbers are valid indices between 0 and the number of frames-1.");
-                
-                // base case
-                return index;
-            });
-        } else {
-            // set default pattern
-            pattern = frameURLs.map(({index}) => index);
-        }
+    // drawing
+    fill(...args) {  this.#recordDraw("fill", args, {"path": [...this.#path]});  }
+    stroke(...args) {  this.#recordDraw("stroke", args, {"path": [...this.#path]});  }
+    clip(...args) {  this.#record("clip", args, {"path": [...this.#path]});  }
+    fillRect(...args) {  this.#recordDraw("fillRect", args);  }
+    strokeRect(...args) {  this.#recordDraw("strokeRect", args);  }
+    clearRect(...args) {  this.#record("clearRect", args);  }
+    fillText(...args) {  this.#recordDraw("fillText", args);  }
+    strokeText(...args) {  this.#recordDraw("strokeText", args);  }
+    drawImage(...args) {  this.#recordDraw("drawImage", args);  }
 
-        // verify the number of frameTimes is the same as the number of frames in the pattern
-        if (frameTime.constructor === Array && pattern.length !== frameTime.length)
-            throw new CGLException("Array of frame times must match the number of frames in the pattern provided.");
+    // estimates text widths from the font size, like CGLText does without a browser
+    measureText(text) {
+        const size = parseFloat(this.font.match(/([\d.]+)px/)?.[1] ?? 10);
+        return {"width": String(text).length * size * 0.6, "actualBoundingBoxAscent": size * 0.8, "actualBoundingBoxDescent": size * 0.2};
+    }
 
-        // otherwise, passthrough to CGLImage with first frame
-        super(x, y, width, height, frameURLs[0], options);
+    // gradients and patterns are recorded as {type, args, stops} and {type, args, transform}
+    createLinearGradient(...args) {  return this.#createGradient("linearGradient", args);  }
+    createRadialGradient(...args) {  return this.#createGradient("radialGradient", args);  }
+    createConicGradient(...args) {  return this.#createGradient("conicGradient", args);  }
+    createPattern(...args) {
+        return {"type": "pattern", "args": args, "transform": null, setTransform(matrix) {  this.transform = matrix;  }};
+    }
 
-        this.#frameURLs = [...frameURLs]; // shallow copy
-        this.#frameTimes = frameTime.constructor === Array ? [...frameTime] : pattern.map(() => frameTime);
-        this.#pattern = pattern; // already shallow-copied by pattern.map
-        this.#createdTimestamp = Date.now();
-        
-        // determine the total duration of the animation
-        if (frameTime.constructor === Array)
-            frameTime.forEach(time => this.#duration += time);
-        else
-            this.#duration = frameTime * pattern.length;
+    #createGradient(type, args) {
+        return {"type": type, "args": args, "stops": [], addColorStop(offset, color) {  this.stops.push([offset, color]);  }};
     }
+}
 
-    // override __move
-    __move() {
-        // update frame, then call super.__move
-        this.#frameIndex = 0;
-        let interval = (Date.now() - this.#createdTimestamp) % this.#duration;
-        while (interval >= this.#frameTimes[this.#frameIndex]) {
-            // skip ahead to the correct frame, not just displaying the next one
-            interval -= this.#frameTimes[this.#frameIndex];
-            this.#frameIndex = (this.#frameIndex+1) % this.#pattern.length; // clamp and increment frameIndex
-        }
-        
-        this.src = this.#frameURLs[ this.#pattern[this.#frameIndex] ];
+// a surface for headless CGLCanvases which records what's drawn on it, ie. new CGLCanvas(new CGLRecordingCanvas(400, 300))
+class CGLRecordingCanvas {
+    width; // number; in pixels
+    height; // number; in pixels
+    #ctx; // the CGLRecordingContext
+
+    // options: passed to the CGLRecordingContext, ie. {maxCalls}
+    constructor(width=300, height=150, options={}) {
+        if (width === null || width.constructor !== Number || width < 0)
+            throw new CGLException("Invalid width passed to CGLRecordingCanvas constructor. Width must be a positive number.");
+        if (height === null || height.constructor !== Number || height < 0)
+            throw new CGLException("Invalid height passed to CGLRecordingCanvas constructor. Height must be a positive number.");
 
-        super.__move();
+        this.width = width;
+        this.height = height;
+        this.#ctx = new CGLRecordingContext(this, options);
     }
+
+    get context() {  return this.#ctx;  }
+
+    getContext(type="2d") {  return type === "2d" ? this.#ctx : null;  }
 }
 
-/****************** END CGLOBJECT CLASS ******************/
\ No newline at end of file
+/****************** END CGLRECORDING CLASSES ******************/
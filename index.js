@@ -38,6 +38,15 @@ $(document).ready(() => {
         console.log("Square poly is hovered!", this);
     });
 
+    // drag the circle around the canvas
+    circle.on("drag", function(e) {
+        this.x += e.dx;
+        this.y += e.dy;
+    });
+
+    circle.on("mouseenter", () => console.log("Circle entered!"));
+    circle.on("mouseleave", () => console.log("Circle left!"));
+
     // triangle.velocity.x = 10;
     triangle.angularVelocity = 90;
     ellipse.angularVelocity = 90;